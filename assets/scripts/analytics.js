@@ -0,0 +1,228 @@
+// assets/scripts/analytics.js
+
+/**
+ * Lumomire Analytics Transport
+ * Buffers events in memory and ships them in batches instead of one request per event
+ */
+
+class AnalyticsTransport {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: '',
+            batchSize: 10,
+            flushInterval: 5000,
+            maxQueueSize: 100,
+            dedupeWindow: 1000,
+            sampleRates: {},
+            // A failing endpoint is retried with backoff, and an event is given up after this many sends
+            maxAttempts: 5,
+            maxRetryDelay: 60000,
+            // Browsers reject keepalive requests and beacons above 64KB
+            maxKeepaliveBytes: 60000,
+            ...options
+        };
+
+        this.queue = [];
+        this.recentEvents = new Map();
+        this.attempts = new WeakMap();
+        this.failures = 0;
+        this.retryAt = 0;
+        this.flushTimer = null;
+        this.isFlushing = false;
+
+        this.handlePageHide = () => this.flush({ useBeacon: true });
+        window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    /**
+     * Add an event to the buffer, returning false if it was sampled out or deduplicated
+     */
+    enqueue(event) {
+        const sampleRate = this.getSampleRate(event.category);
+        if (Math.random() >= sampleRate) {
+            return false;
+        }
+
+        if (this.isDuplicate(event)) {
+            return false;
+        }
+
+        this.queue.push({
+            ...event,
+            properties: { ...event.properties, sample_rate: sampleRate }
+        });
+
+        // Memory: Drop the oldest events once the buffer is full
+        if (this.queue.length > this.options.maxQueueSize) {
+            this.queue.splice(0, this.queue.length - this.options.maxQueueSize);
+        }
+
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+
+        return true;
+    }
+
+    getSampleRate(category) {
+        const rate = this.options.sampleRates[category];
+        return typeof rate === 'number' ? Math.min(Math.max(rate, 0), 1) : 1;
+    }
+
+    /**
+     * Identical events (ignoring timestamps) inside the dedupe window are dropped
+     */
+    isDuplicate(event) {
+        const { timestamp, ...properties } = event.properties || {};
+        const key = `${event.category}|${event.action}|${JSON.stringify(properties)}`;
+        const now = Date.now();
+        const lastSeen = this.recentEvents.get(key);
+
+        // Memory: Forget keys that have aged out of the window
+        this.recentEvents.forEach((seenAt, seenKey) => {
+            if (now - seenAt > this.options.dedupeWindow) {
+                this.recentEvents.delete(seenKey);
+            }
+        });
+
+        this.recentEvents.set(key, now);
+        return lastSeen !== undefined && now - lastSeen <= this.options.dedupeWindow;
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+
+        const delay = Math.max(this.options.flushInterval, this.retryAt - Date.now());
+        this.flushTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    /**
+     * Send everything buffered; beacons are used while the page is being unloaded
+     */
+    async flush({ useBeacon = false } = {}) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (this.queue.length === 0) return;
+
+        // A batch is already in flight or the endpoint is backing off; try again on the timer
+        if (!useBeacon && (this.isFlushing || Date.now() < this.retryAt)) {
+            this.scheduleFlush();
+            return;
+        }
+
+        // An unloading page only gets one keepalive-sized request; the rest stays queued
+        const events = useBeacon
+            ? this.queue.splice(0, this.countWithinBytes(this.options.maxKeepaliveBytes))
+            : this.queue.splice(0, this.queue.length);
+        const body = this.serialize(events);
+        const bytes = this.getByteLength(body);
+
+        if (useBeacon && bytes <= this.options.maxKeepaliveBytes && this.sendBeacon(body)) return;
+
+        this.isFlushing = true;
+        try {
+            const response = await fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body,
+                keepalive: bytes <= this.options.maxKeepaliveBytes
+            });
+
+            if (!response.ok) {
+                throw new Error(`Analytics batch rejected with status ${response.status}`);
+            }
+
+            this.failures = 0;
+            this.retryAt = 0;
+        } catch (error) {
+            // Fail silently for analytics, but keep the events for a later batch
+            console.warn('[Lumomire] Failed to send analytics:', error);
+            this.requeue(events);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    /**
+     * Put a failed batch back with exponential backoff, giving up on events that
+     * have used all their attempts so a dead endpoint doesn't get the same batch forever
+     */
+    requeue(events) {
+        const { flushInterval, maxRetryDelay, maxAttempts, maxQueueSize } = this.options;
+
+        this.failures++;
+        this.retryAt = Date.now() + Math.min(flushInterval * Math.pow(2, this.failures), maxRetryDelay);
+
+        const retryable = events.filter(event => {
+            const attempts = (this.attempts.get(event) || 0) + 1;
+            this.attempts.set(event, attempts);
+            return attempts < maxAttempts;
+        });
+
+        if (retryable.length < events.length) {
+            console.warn(`[Lumomire] Dropped ${events.length - retryable.length} analytics events after ${maxAttempts} attempts`);
+        }
+
+        const room = Math.max(maxQueueSize - this.queue.length, 0);
+        if (room > 0 && retryable.length > 0) {
+            this.queue.unshift(...retryable.slice(-room));
+        }
+
+        if (this.queue.length > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    serialize(events) {
+        return JSON.stringify({
+            events,
+            sent_at: new Date().toISOString()
+        });
+    }
+
+    getByteLength(text) {
+        return new Blob([text]).size;
+    }
+
+    /**
+     * How many queued events, oldest first, fit in one request of maxBytes (at least one)
+     */
+    countWithinBytes(maxBytes) {
+        let bytes = this.getByteLength(this.serialize([]));
+        let count = 0;
+
+        while (count < this.queue.length) {
+            // +1 for the comma between events
+            bytes += this.getByteLength(JSON.stringify(this.queue[count])) + 1;
+            if (bytes > maxBytes && count > 0) break;
+            count++;
+        }
+
+        return count;
+    }
+
+    sendBeacon(body) {
+        if (!navigator.sendBeacon) return false;
+
+        // text/plain avoids a CORS preflight, which beacons cannot perform
+        const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+        return navigator.sendBeacon(this.options.endpoint, blob);
+    }
+
+    clear() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.queue = [];
+        this.recentEvents.clear();
+    }
+
+    destroy() {
+        this.flush({ useBeacon: true });
+        window.removeEventListener('pagehide', this.handlePageHide);
+    }
+}
@@ -5,6 +5,12 @@
  * Production-ready JavaScript for static deployment with integrated pricing toggle
  */
 
+// data-action values routed through config.actions; plugins cannot replace these
+const BUILT_IN_CTA_ACTIONS = ['signin', 'signup', 'signup-plan', 'demo', 'video-demo', 'contact-sales'];
+
+// Plugin handlers for any other data-action, added with Lumomire.registerAction()
+const CTA_ACTIONS = new Map();
+
 class LumomireApp {
     constructor() {
         this.config = {
@@ -23,23 +29,180 @@ class LumomireApp {
                     api: 'https://api.lumomire.com'
                 }
             },
+            // Feature flags, switchable live through remote config
+            features: {
+                appRedirects: false,
+                demoScheduler: true,
+                // Off until the product tour in videoDemo below is deployed
+                videoDemo: false
+            },
+            // CTA routes, also reachable as deep links: ?action=demo&plan=professional.
+            // An action hands off to the app (when appRedirects is on) or a modal, and
+            // otherwise shows its message, scrolls to its section and prefills the form.
+            // `properties` lists what its analytics event carries; plan falls back to defaultPlan.
+            actions: {
+                signin: {
+                    label: 'Sign In Interest',
+                    redirect: { path: '/signin', label: 'Sign In Redirect' },
+                    message: 'Sign in portal coming soon! Please contact us for early access.',
+                    section: '#contact',
+                    prefill: { interest: 'trial' }
+                },
+                signup: {
+                    label: 'Signup Interest',
+                    redirect: {
+                        path: '/signup',
+                        label: 'Signup Redirect',
+                        properties: ['plan', 'billing'],
+                        params: ['plan', 'billing', 'currency'],
+                        withAttribution: true
+                    },
+                    properties: ['plan', 'source'],
+                    defaultPlan: 'trial',
+                    message: 'Free trial signup coming soon! Please fill out the form below.',
+                    section: '#contact',
+                    prefill: { interest: 'trial' },
+                    planPrefill: { enterprise: { interest: 'enterprise' } }
+                },
+                'signup-plan': {
+                    label: 'Signup Interest',
+                    redirect: {
+                        path: '/signup',
+                        label: 'Signup Redirect',
+                        properties: ['plan', 'billing'],
+                        params: ['plan', 'billing', 'currency'],
+                        withAttribution: true
+                    },
+                    properties: ['plan', 'source'],
+                    defaultPlan: 'trial',
+                    message: 'Free trial signup coming soon! Please fill out the form below.',
+                    // {plan} is replaced with the plan's display name
+                    planMessage: '{plan} plan signup coming soon! Please fill out the form below.',
+                    section: '#contact',
+                    prefill: { interest: 'trial' },
+                    planPrefill: { enterprise: { interest: 'enterprise' } }
+                },
+                demo: {
+                    label: 'Demo Interest',
+                    modal: { flag: 'demoScheduler', component: 'demo-scheduler' },
+                    message: 'Please request a demo below and we\'ll find a time with you.',
+                    section: '#contact',
+                    prefill: { interest: 'demo' }
+                },
+                'video-demo': {
+                    label: 'Video Demo Interest',
+                    modal: { flag: 'videoDemo', component: 'video-demo', returnFocus: '#watch-demo' },
+                    message: 'The video demo isn\'t available right now. Please request a live demo below.',
+                    section: '#contact',
+                    prefill: { interest: 'demo' }
+                },
+                'contact-sales': {
+                    label: 'Sales Interest',
+                    message: 'Our sales team will contact you soon! Please fill out the form below.',
+                    section: '#contact',
+                    prefill: { interest: 'enterprise' }
+                }
+            },
+            // Per-environment overrides of any key above or below
+            environments: {
+                development: {
+                    features: {
+                        appRedirects: true
+                    }
+                },
+                staging: {
+                    features: {
+                        appRedirects: true
+                    }
+                }
+            },
+            // Overrides only, merged over these defaults once the page is bound:
+            // static file first, then the API
+            remoteConfig: {
+                staticUrl: 'config.json',
+                endpoint: '/config',
+                timeout: 2000,
+                // Development only, e.g. ?config.features.appRedirects=false
+                queryPrefix: 'config.'
+            },
             animationDuration: 300,
             debounceDelay: 150,
             scrollThreshold: 100,
-            formSubmitUrl: '/contact'
+            formSubmitUrl: '/contact',
+            formTimeout: 10000,
+            analytics: {
+                endpoint: '/analytics/batch',
+                batchSize: 10,
+                flushInterval: 5000,
+                maxQueueSize: 100,
+                dedupeWindow: 1000,
+                // Share of events kept per category; unlisted categories are always sent
+                sampleRates: {
+                    Page: 0.25,
+                    Performance: 0.5
+                }
+            },
+            botGuard: {
+                honeypotName: 'website',
+                minSubmitTime: 3000,
+                minInteractions: 3,
+                powDifficulty: 13
+            },
+            // Product tour. Captions and chapters are WebVTT files cut from the final video;
+            // the player leaves out any track that is null
+            videoDemo: {
+                video: 'assets/videos/lumomire-demo.mp4',
+                captions: null,
+                chapters: null
+            },
+            draft: {
+                storageKey: 'lumomire-contact-draft',
+                saveDelay: 500
+            },
+            attribution: {
+                storageKey: 'lumomire-attribution',
+                params: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid']
+            },
+            leadQueue: {
+                storageKey: 'lumomire-lead-queue',
+                lockName: 'lumomire-lead-queue',
+                maxSize: 20,
+                maxAttempts: 8,
+                // Privacy: Queued leads hold contact details, so they are dropped after a week
+                maxAge: 7 * 24 * 60 * 60 * 1000,
+                baseDelay: 2000,
+                maxDelay: 300000
+            }
         };
         
+        // App-private state; UI state shared with the components lives in the store
         this.state = {
-            isMenuOpen: false,
-            currentDashboard: 'cfo',
-            isAnnualPricing: false,
             scrollPosition: 0,
             isLoaded: false,
-            environment: this.getEnvironment()
+            environment: this.getEnvironment(),
+            attribution: null,
+            exposuresTracked: false,
+            // The form's contents were sent and must not come back as a draft
+            isDraftSubmitted: false
         };
         
         this.elements = {};
+        // Memory: Every listener added with listen() shares this signal, aborted in destroy()
+        this.abortController = new AbortController();
         this.observers = new Map();
+        this.leadRetryTimer = null;
+        this.isFlushingLeads = false;
+        this.draftPrompt = null;
+        this.botGuard = null;
+        this.analytics = new AnalyticsTransport({
+            ...this.config.analytics,
+            endpoint: this.getApiUrl() + this.config.analytics.endpoint
+        });
+        this.store = window.LumomireStore;
+        this.events = window.LumomireEvents;
+        this.storeSubscriptions = [
+            this.store.subscribe('consent', ({ consent }) => this.handleConsentChange(consent))
+        ];
         
         this.init();
     }
@@ -49,16 +212,37 @@ class LumomireApp {
      */
     async init() {
         try {
+            // Bind with the built-in defaults so nothing on the page waits for the network
             this.cacheElements();
             this.bindEvents();
-            this.initializeComponents();
+
+            // Attribution is best effort and must never stop the page from working
+            try {
+                this.captureAttribution();
+            } catch (error) {
+                console.warn('[Lumomire] Failed to capture attribution:', error);
+            }
+
             this.startPerformanceMonitoring();
+            this.trackExperimentExposures();
             this.state.isLoaded = true;
             
             console.log('[Lumomire] Application initialized successfully');
         } catch (error) {
             this.handleError('Failed to initialize application', error);
+            return;
+        }
+
+        // Feature flags are read when used, so remote values apply as soon as they arrive;
+        // deep links wait for them because they decide between app, modal and form
+        try {
+            await this.loadConfig();
+        } catch (error) {
+            console.warn('[Lumomire] Failed to apply remote config:', error);
         }
+
+        this.handleDeepLink();
+        this.events.emit('app:ready', {}, { sticky: true });
     }
 
     /**
@@ -80,16 +264,11 @@ class LumomireApp {
             startTrial: document.getElementById('start-trial'),
             watchDemo: document.getElementById('watch-demo'),
             
-            // Dashboard
-            dashboardToggles: document.querySelectorAll('.dashboard-toggle'),
-            dashboardSlides: document.querySelectorAll('.dashboard-slide'),
-            
             // Pricing
             pricingToggle: document.getElementById('pricing-toggle'),
-            pricingAmounts: document.querySelectorAll('.pricing-card__amount'),
             pricingButtons: document.querySelectorAll('[data-plan]'),
-            billingTexts: document.querySelectorAll('.pricing-card__billing'),
             purchaseLinks: document.querySelectorAll('.pricing-card__purchase-link'),
+            currencySelect: document.getElementById('pricing-currency'),
             
             // Form
             contactForm: document.getElementById('contact-form'),
@@ -112,9 +291,10 @@ class LumomireApp {
     bindEvents() {
         this.bindNavigationEvents();
         this.bindCTAEvents();
-        this.bindDashboardEvents();
+        this.bindStoreEvents();
         this.bindPricingEvents();
         this.bindFormEvents();
+        this.bindLeadQueueEvents();
         this.bindScrollEvents();
         this.bindUtilityEvents();
     }
@@ -125,7 +305,7 @@ class LumomireApp {
     bindNavigationEvents() {
         // Logo click
         if (this.elements.navLogo) {
-            this.elements.navLogo.addEventListener('click', (e) => {
+            this.listen(this.elements.navLogo, 'click', (e) => {
                 e.preventDefault();
                 this.scrollToTop();
                 this.trackEvent('Navigation', 'Logo Click');
@@ -134,14 +314,14 @@ class LumomireApp {
 
         // Mobile menu toggle
         if (this.elements.navToggle) {
-            this.elements.navToggle.addEventListener('click', (e) => {
+            this.listen(this.elements.navToggle, 'click', (e) => {
                 e.preventDefault();
                 this.toggleMobileMenu();
             });
         }
 
         if (this.elements.navClose) {
-            this.elements.navClose.addEventListener('click', (e) => {
+            this.listen(this.elements.navClose, 'click', (e) => {
                 e.preventDefault();
                 this.closeMobileMenu();
             });
@@ -149,7 +329,7 @@ class LumomireApp {
 
         // Navigation links
         this.elements.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
+            this.listen(link, 'click', (e) => {
                 const href = link.getAttribute('href');
                 if (href && href.startsWith('#')) {
                     e.preventDefault();
@@ -161,8 +341,8 @@ class LumomireApp {
         });
 
         // Close menu on outside click
-        document.addEventListener('click', (e) => {
-            if (this.state.isMenuOpen && 
+        this.listen(document, 'click', (e) => {
+            if (this.store.get('isMenuOpen') && 
                 !this.elements.navMenu?.contains(e.target) && 
                 !this.elements.navToggle?.contains(e.target)) {
                 this.closeMobileMenu();
@@ -170,8 +350,8 @@ class LumomireApp {
         });
 
         // Close menu on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.state.isMenuOpen) {
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.store.get('isMenuOpen')) {
                 this.closeMobileMenu();
             }
         });
@@ -183,36 +363,36 @@ class LumomireApp {
     bindCTAEvents() {
         // Handle header buttons
         if (this.elements.scheduleDemo) {
-            this.elements.scheduleDemo.addEventListener('click', (e) => {
+            this.listen(this.elements.scheduleDemo, 'click', (e) => {
                 e.preventDefault();
-                this.handleCTAClick('demo', null, e.target);
+                this.handleCTAClick('demo', null, e.currentTarget);
             });
         }
 
         if (this.elements.signIn) {
-            this.elements.signIn.addEventListener('click', (e) => {
+            this.listen(this.elements.signIn, 'click', (e) => {
                 e.preventDefault();
-                this.handleCTAClick('signin', null, e.target);
+                this.handleCTAClick('signin', null, e.currentTarget);
             });
         }
 
         if (this.elements.startTrial) {
-            this.elements.startTrial.addEventListener('click', (e) => {
+            this.listen(this.elements.startTrial, 'click', (e) => {
                 e.preventDefault();
-                this.handleCTAClick('signup', null, e.target);
+                this.handleCTAClick('signup', null, e.currentTarget);
             });
         }
 
         if (this.elements.watchDemo) {
-            this.elements.watchDemo.addEventListener('click', (e) => {
+            this.listen(this.elements.watchDemo, 'click', (e) => {
                 e.preventDefault();
-                this.handleCTAClick('video-demo', null, e.target);
+                this.handleCTAClick('video-demo', null, e.currentTarget);
             });
         }
 
         // Handle all data-action buttons
         this.elements.actionButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
+            this.listen(button, 'click', (e) => {
                 e.preventDefault();
                 const action = button.getAttribute('data-action');
                 const plan = button.getAttribute('data-plan');
@@ -239,30 +419,15 @@ class LumomireApp {
             }, 1500);
         }
 
-        switch (action) {
-            case 'signin':
-                this.redirectToSignIn();
-                break;
-            case 'signup':
-                this.redirectToSignup();
-                break;
-            case 'signup-plan':
-                this.redirectToSignup(plan);
-                break;
-            case 'demo':
-                this.redirectToDemo();
-                break;
-            case 'video-demo':
-                this.openVideoDemo();
-                break;
-            case 'contact-sales':
-                this.redirectToContactSales();
-                break;
-            default:
-                console.warn(`Unknown CTA action: ${action}`);
-                if (button) {
-                    this.setButtonLoading(button, false);
-                }
+        if (this.hasAction(action)) {
+            this.runAction(action, { plan, trigger: button });
+        } else if (CTA_ACTIONS.has(action)) {
+            this.runPluginAction(action, plan, button);
+        } else {
+            console.warn(`Unknown CTA action: ${action}`);
+            if (button) {
+                this.setButtonLoading(button, false);
+            }
         }
 
         // Track the action
@@ -271,116 +436,304 @@ class LumomireApp {
             plan: plan || 'none',
             button_text: button?.textContent.trim() || 'unknown'
         });
+
+        this.events.emit('cta:click', { action, plan, element: button });
     }
 
     /**
-     * Redirect methods for static landing page
+     * Run a handler added with Lumomire.registerAction(); it may return a Promise
      */
-    redirectToSignIn() {
-        // Show coming soon message and scroll to contact
-        this.showNotification('Sign in portal coming soon! Please contact us for early access.', 'info');
-        
-        // Delay scroll to let notification show
-        setTimeout(() => {
-            this.smoothScrollTo('#contact');
-        }, 500);
-        
-        // Pre-fill the interest dropdown
-        setTimeout(() => {
-            const interestSelect = document.getElementById('interest');
-            if (interestSelect) {
-                interestSelect.value = 'trial';
+    runPluginAction(action, plan, button) {
+        const handler = CTA_ACTIONS.get(action);
+        const fail = (error) => {
+            console.error(`[Lumomire] CTA action "${action}" failed:`, error);
+            if (button) {
+                this.setButtonLoading(button, false);
             }
-        }, 800);
-        
-        this.trackEvent('CTA', 'Sign In Interest');
+        };
+
+        try {
+            Promise.resolve(handler({ action, plan, element: button, app: this })).catch(fail);
+        } catch (error) {
+            fail(error);
+        }
+    }
+
+    hasAction(action) {
+        return Object.prototype.hasOwnProperty.call(this.config.actions, action);
     }
 
-    redirectToSignup(plan = null) {
-        // Determine message based on plan
-        let message = 'Free trial signup coming soon!';
-        if (plan) {
-            const planName = plan.charAt(0).toUpperCase() + plan.slice(1);
-            message = `${planName} plan signup coming soon!`;
+    /**
+     * CTA action router - runs a config.actions entry from a button, purchase link or deep link
+     */
+    runAction(action, { plan = null, billing = this.getBillingCycle(), trigger = null, source = 'button_click' } = {}) {
+        const route = this.config.actions[action];
+        const pick = (keys, values) => Object.fromEntries((keys || []).map(key => [key, values[key]]));
+        const tracked = { plan: plan || route.defaultPlan || 'none', billing, source };
+
+        if (route.redirect && this.isEnabled('appRedirects')) {
+            const params = pick(route.redirect.params, { plan, billing, currency: window.LumomirePricing?.currency });
+
+            this.trackEvent('CTA', route.redirect.label, pick(route.redirect.properties, tracked));
+            this.navigateTo(this.buildAppUrl(route.redirect.path, params, {
+                withAttribution: route.redirect.withAttribution === true
+            }));
+            return;
+        }
+
+        this.trackEvent('CTA', route.label, pick(route.properties, tracked));
+
+        const modal = route.modal && this.isEnabled(route.modal.flag)
+            ? window.ComponentManager?.getComponent(route.modal.component)
+            : null;
+        if (modal) {
+            // The modal takes over from the loading state, and focus returns to the button on close
+            this.setButtonLoading(trigger, false);
+            const returnFocus = route.modal.returnFocus ? document.querySelector(route.modal.returnFocus) : null;
+            modal.open(trigger || returnFocus || document.activeElement);
+            return;
         }
-        
-        this.showNotification(message + ' Please fill out the form below.', 'info');
-        
+
+        // No handoff available: explain, then bring the visitor to the prefilled form
+        const planName = plan ? plan.charAt(0).toUpperCase() + plan.slice(1) : null;
+        const message = planName && route.planMessage
+            ? route.planMessage.replace('{plan}', planName)
+            : route.message;
+        if (message) {
+            this.showNotification(message, 'info');
+        }
+
         // Delay scroll to let notification show
         setTimeout(() => {
-            this.smoothScrollTo('#contact');
+            this.smoothScrollTo(route.section);
         }, 500);
-        
-        // Pre-fill the contact form based on plan
+
         setTimeout(() => {
-            const interestSelect = document.getElementById('interest');
-            if (interestSelect) {
-                if (plan === 'enterprise') {
-                    interestSelect.value = 'enterprise';
-                } else {
-                    interestSelect.value = 'trial';
+            this.prefillContactForm({ ...route.prefill, ...route.planPrefill?.[plan] });
+        }, 800);
+    }
+
+    /**
+     * Set form fields by name; change events let the stepper open the matching branch
+     */
+    prefillContactForm(values) {
+        const form = document.getElementById('contact-form');
+        if (!form) return;
+
+        Object.entries(values).forEach(([name, value]) => {
+            const field = form.elements[name];
+            if (!field) return;
+
+            field.value = value;
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+
+    /**
+     * ?action=demo&plan=professional&billing=annual from emails and ads. Only config.actions
+     * entries and known plans are accepted, and the parameters are dropped from the
+     * address bar afterwards so a reload or shared link doesn't run the action again.
+     */
+    handleDeepLink() {
+        const url = new URL(window.location.href);
+        const action = url.searchParams.get('action');
+        if (!action) return;
+
+        const plan = url.searchParams.get('plan');
+        const billing = url.searchParams.get('billing');
+
+        ['action', 'plan', 'billing'].forEach(param => url.searchParams.delete(param));
+        window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+
+        if (!this.hasAction(action)) {
+            console.warn(`[Lumomire] Ignoring deep link to unknown action "${action}"`);
+            return;
+        }
+
+        if (billing === 'annual' || billing === 'monthly') {
+            this.store.setState({ isAnnualPricing: billing === 'annual' });
+        }
+
+        const knownPlan = window.LumomirePricing?.getPlan(plan) ? plan : null;
+        this.trackEvent('CTA', 'Deep Link', { action, plan: knownPlan || 'none' });
+        this.runAction(action, { plan: knownPlan, source: 'deep_link' });
+    }
+
+    /**
+     * App handoff - plan, billing, campaign attribution and a way back to this page
+     */
+    buildAppUrl(path, params = {}, { withAttribution = false } = {}) {
+        const url = new URL(path, this.getAppUrl());
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value) {
+                url.searchParams.set(key, value);
+            }
+        });
+
+        // getAttribution() is null without marketing consent
+        const touch = withAttribution ? this.getAttribution()?.last_touch : null;
+        if (touch) {
+            this.config.attribution.params.forEach(param => {
+                if (touch[param]) {
+                    url.searchParams.set(param, touch[param]);
                 }
+            });
+        }
+
+        url.searchParams.set('return_url', window.location.origin + window.location.pathname);
+        return url.toString();
+    }
+
+    navigateTo(url) {
+        // Ship pending analytics before the page unloads
+        this.analytics.flush({ useBeacon: true });
+        window.location.assign(url);
+    }
+
+    getBillingCycle() {
+        return this.store.get('isAnnualPricing') ? 'annual' : 'monthly';
+    }
+
+    isEnabled(flag) {
+        return this.config.features[flag] === true;
+    }
+
+    /**
+     * Configuration layers, later ones winning: defaults, remote config and,
+     * in development, query-string overrides. Each layer may carry an
+     * `environments` map whose entry for the current environment is applied on top.
+     */
+    async loadConfig() {
+        const { staticUrl, endpoint, timeout } = this.config.remoteConfig;
+        const sources = [
+            staticUrl,
+            endpoint ? this.getApiUrl() + endpoint : null
+        ].filter(Boolean);
+
+        const results = await Promise.allSettled(sources.map(url => this.fetchConfig(url, timeout)));
+        const layers = [this.config];
+
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                layers.push(result.value);
+            } else {
+                console.warn(`[Lumomire] Remote config unavailable from ${sources[index]}:`, result.reason);
             }
-        }, 800);
-        
-        this.trackEvent('CTA', 'Signup Interest', { 
-            plan: plan || 'trial',
-            source: 'button_click'
         });
+
+        layers.push(this.getQueryConfigOverrides());
+
+        this.config = layers.reduce((config, layer) => this.applyConfigLayer(config, layer), this.config);
+
+        // The transport and bot guard were created with the defaults
+        this.analytics.options = {
+            ...this.analytics.options,
+            ...this.config.analytics,
+            endpoint: this.getApiUrl() + this.config.analytics.endpoint
+        };
+        if (this.botGuard) {
+            this.botGuard.options = { ...this.botGuard.options, ...this.config.botGuard };
+        }
     }
 
-    redirectToDemo() {
-        this.showNotification('Demo scheduling coming soon! Please request a demo below.', 'info');
-        
-        setTimeout(() => {
-            this.smoothScrollTo('#contact');
-        }, 500);
-        
-        // Pre-fill for demo request
-        setTimeout(() => {
-            const interestSelect = document.getElementById('interest');
-            if (interestSelect) {
-                interestSelect.value = 'demo';
+    async fetchConfig(url, timeout) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(url, {
+                headers: { 'Accept': 'application/json' },
+                cache: 'no-cache',
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Config request failed with status ${response.status}`);
             }
-        }, 800);
-        
-        this.trackEvent('CTA', 'Demo Interest');
+
+            const config = await response.json();
+            if (!this.isPlainObject(config)) {
+                throw new Error('Config must be a JSON object');
+            }
+            return config;
+        } finally {
+            clearTimeout(timeoutId);
+        }
     }
 
-    redirectToContactSales() {
-        this.showNotification('Our sales team will contact you soon! Please fill out the form below.', 'info');
-        
-        setTimeout(() => {
-            this.smoothScrollTo('#contact');
-        }, 500);
-        
-        // Pre-fill for enterprise/sales inquiry
-        setTimeout(() => {
-            const interestSelect = document.getElementById('interest');
-            if (interestSelect) {
-                interestSelect.value = 'enterprise';
+    applyConfigLayer(config, layer) {
+        if (!this.isPlainObject(layer)) return config;
+
+        const { environments, ...values } = layer;
+        const merged = this.mergeConfig(config, values);
+        return this.mergeConfig(merged, environments?.[this.state.environment]);
+    }
+
+    /**
+     * Deep merge; values must keep the type of the default they replace
+     */
+    mergeConfig(target, source) {
+        if (!this.isPlainObject(source)) return target;
+
+        const result = { ...target };
+        Object.entries(source).forEach(([key, value]) => {
+            // Security: Remote data must never reach the prototype chain
+            if (this.isUnsafeConfigKey(key)) return;
+
+            const current = result[key];
+            if (this.isPlainObject(current) && this.isPlainObject(value)) {
+                result[key] = this.mergeConfig(current, value);
+            } else if (current === undefined || current === null ||
+                (typeof current === typeof value && Array.isArray(current) === Array.isArray(value))) {
+                result[key] = value;
+            } else {
+                console.warn(`[Lumomire] Ignoring config value for "${key}": expected ${Array.isArray(current) ? 'array' : typeof current}`);
             }
-        }, 800);
-        
-        this.trackEvent('CTA', 'Sales Interest');
+        });
+
+        return result;
     }
 
-    openVideoDemo() {
-        this.showNotification('Video demo coming soon! Please request a live demo below.', 'info');
-        
-        setTimeout(() => {
-            this.smoothScrollTo('#contact');
-        }, 500);
-        
-        // Pre-fill for demo
-        setTimeout(() => {
-            const interestSelect = document.getElementById('interest');
-            if (interestSelect) {
-                interestSelect.value = 'demo';
+    /**
+     * ?config.formTimeout=5000&config.features.demoScheduler=false, development only
+     */
+    getQueryConfigOverrides() {
+        if (this.state.environment !== 'development') return null;
+
+        const { queryPrefix } = this.config.remoteConfig;
+        const overrides = {};
+
+        new URLSearchParams(window.location.search).forEach((raw, name) => {
+            if (!name.startsWith(queryPrefix)) return;
+
+            const path = name.slice(queryPrefix.length).split('.');
+            if (path.some(key => !key || this.isUnsafeConfigKey(key))) return;
+
+            let value;
+            try {
+                value = JSON.parse(raw);
+            } catch (error) {
+                value = raw;
             }
-        }, 800);
-        
-        this.trackEvent('CTA', 'Video Demo Interest');
+
+            let node = overrides;
+            path.slice(0, -1).forEach(key => {
+                node[key] = this.isPlainObject(node[key]) ? node[key] : {};
+                node = node[key];
+            });
+            node[path[path.length - 1]] = value;
+        });
+
+        return overrides;
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isUnsafeConfigKey(key) {
+        return key === '__proto__' || key === 'constructor' || key === 'prototype';
     }
 
     /**
@@ -406,51 +759,121 @@ class LumomireApp {
     }
 
     /**
-     * Dashboard event bindings
+     * Campaign attribution - first and last touch for the current session. It is kept
+     * in memory and only written to sessionStorage once the visitor allows marketing.
      */
-    bindDashboardEvents() {
-        this.elements.dashboardToggles.forEach(toggle => {
-            toggle.addEventListener('click', (e) => {
-                e.preventDefault();
-                const dashboardType = toggle.getAttribute('data-dashboard');
-                this.switchDashboard(dashboardType);
-                this.trackEvent('Dashboard', 'Toggle', { type: dashboardType });
-            });
-        });
+    captureAttribution() {
+        const stored = this.readAttribution();
+        const touch = this.getCurrentTouch();
+
+        const firstTouch = stored?.first_touch || touch || {
+            source: 'direct',
+            landing_page: window.location.pathname,
+            captured_at: new Date().toISOString()
+        };
+
+        this.state.attribution = {
+            first_touch: firstTouch,
+            last_touch: touch || stored?.last_touch || firstTouch
+        };
+
+        this.persistAttribution(window.LumomireConsent.has('marketing'));
+    }
+
+    /**
+     * Store the session's attribution, or remove it when marketing consent is missing
+     */
+    persistAttribution(allowed) {
+        try {
+            if (allowed && this.state.attribution) {
+                sessionStorage.setItem(this.config.attribution.storageKey, JSON.stringify(this.state.attribution));
+            } else {
+                sessionStorage.removeItem(this.config.attribution.storageKey);
+            }
+        } catch (error) {
+            console.warn('[Lumomire] Failed to persist attribution:', error);
+        }
+    }
 
-        // Auto-cycle dashboard on desktop
-        if (window.innerWidth > 768) {
-            this.startDashboardCycle();
+    readAttribution() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.config.attribution.storageKey));
+        } catch (error) {
+            return null;
         }
     }
 
     /**
-     * Dashboard switching logic
+     * Campaign parameters and external referrer of this page view, or null if there are none
      */
-    switchDashboard(type) {
-        // Update toggles
-        this.elements.dashboardToggles.forEach(toggle => {
-            toggle.classList.toggle('active', toggle.getAttribute('data-dashboard') === type);
+    getCurrentTouch() {
+        const params = new URLSearchParams(window.location.search);
+        const touch = {};
+
+        this.config.attribution.params.forEach(param => {
+            const value = params.get(param);
+            if (value) {
+                touch[param] = value.slice(0, 200);
+            }
         });
 
-        // Update slides
-        this.elements.dashboardSlides.forEach(slide => {
-            slide.classList.toggle('active', slide.id === `dashboard-${type}`);
-        });
+        // Internal navigation is not a new touch
+        let referrer = null;
+        try {
+            const referrerUrl = document.referrer ? new URL(document.referrer) : null;
+            if (referrerUrl && referrerUrl.hostname !== window.location.hostname) {
+                referrer = referrerUrl.origin + referrerUrl.pathname;
+            }
+        } catch (error) {
+            referrer = null;
+        }
+
+        if (Object.keys(touch).length === 0 && !referrer) {
+            return null;
+        }
 
-        this.state.currentDashboard = type;
+        return {
+            ...touch,
+            // utm_campaign/utm_medium alone, e.g. from an email client, has no referrer
+            source: touch.utm_source || (touch.gclid ? 'google' : (referrer ? new URL(referrer).hostname : 'campaign')),
+            referrer,
+            landing_page: window.location.pathname,
+            captured_at: new Date().toISOString()
+        };
     }
 
-    startDashboardCycle() {
-        const dashboards = ['admin', 'cfo', 'member'];
-        let currentIndex = dashboards.indexOf(this.state.currentDashboard);
-        
-        setInterval(() => {
-            if (document.hidden) return; // Don't cycle when tab is hidden
-            
-            currentIndex = (currentIndex + 1) % dashboards.length;
-            this.switchDashboard(dashboards[currentIndex]);
-        }, 4000);
+    /**
+     * Attribution is campaign measurement, so it is only shared with marketing consent
+     */
+    getAttribution() {
+        if (!window.LumomireConsent.has('marketing')) {
+            return null;
+        }
+        return this.state.attribution;
+    }
+
+    /**
+     * The app renders the mobile menu and the billing toggle; components own the rest
+     */
+    bindStoreEvents() {
+        this.storeSubscriptions.push(
+            this.store.subscribe('isMenuOpen', ({ isMenuOpen }) => this.renderMobileMenu(isMenuOpen)),
+            this.store.subscribe('isAnnualPricing', ({ isAnnualPricing }) => {
+                if (this.elements.pricingToggle) {
+                    this.elements.pricingToggle.checked = isAnnualPricing;
+                }
+                this.events.emit('pricing:toggle', {
+                    billing: isAnnualPricing ? 'annual' : 'monthly',
+                    isAnnual: isAnnualPricing
+                });
+            }),
+            this.store.subscribe('currentDashboard', ({ currentDashboard }, previous) => {
+                this.events.emit('dashboard:switch', {
+                    dashboard: currentDashboard,
+                    previous: previous.currentDashboard
+                });
+            })
+        );
     }
 
     /**
@@ -458,19 +881,27 @@ class LumomireApp {
      */
     bindPricingEvents() {
         if (this.elements.pricingToggle) {
-            this.elements.pricingToggle.addEventListener('change', (e) => {
-                this.togglePricing(e.target.checked);
+            this.listen(this.elements.pricingToggle, 'change', (e) => {
+                // PricingCardComponent re-renders the cards from the store
+                this.store.setState({ isAnnualPricing: e.target.checked });
                 this.trackEvent('Pricing', 'Toggle', { isAnnual: e.target.checked });
             });
         }
 
+        if (this.elements.currencySelect && window.LumomirePricing) {
+            this.listen(this.elements.currencySelect, 'change', (e) => {
+                if (window.LumomirePricing.setCurrency(e.target.value)) {
+                    this.trackEvent('Pricing', 'Currency Change', { currency: e.target.value });
+                }
+            });
+        }
+
         // Handle signup buttons with billing cycle
         const signupButtons = document.querySelectorAll('[data-action^="signup"]');
         signupButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
+            this.listen(button, 'click', (e) => {
                 const plan = button.getAttribute('data-plan');
-                const isAnnual = this.elements.pricingToggle && this.elements.pricingToggle.checked;
-                const billingCycle = isAnnual ? 'annual' : 'monthly';
+                const billingCycle = this.getBillingCycle();
                 
                 // Track with billing info
                 this.trackEvent('CTA', 'Signup Button', { 
@@ -482,99 +913,252 @@ class LumomireApp {
 
         // Handle purchase links with billing cycle
         this.elements.purchaseLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
+            this.listen(link, 'click', (e) => {
                 e.preventDefault();
                 const href = link.getAttribute('href');
-                const isAnnual = this.elements.pricingToggle && this.elements.pricingToggle.checked;
-                const billingCycle = isAnnual ? 'annual' : 'monthly';
+                const billingCycle = this.getBillingCycle();
                 
                 // Extract plan from href
                 const urlParams = new URLSearchParams(href.split('?')[1] || '');
                 const plan = urlParams.get('plan') || 'unknown';
                 
-                // Add billing cycle to the URL
-                const url = new URL(href, window.location.origin);
-                url.searchParams.set('billing', billingCycle);
-                
                 this.trackEvent('CTA', 'Purchase Link', { 
                     plan: plan,
                     billing: billingCycle
                 });
                 
-                // Show coming soon message instead of redirect
-                this.redirectToSignup(plan);
+                // Hand the billing cycle to the app, or prefill the form when redirects are off
+                this.runAction('signup-plan', {
+                    plan: plan === 'unknown' ? null : plan,
+                    billing: billingCycle
+                });
             });
         });
     }
 
     /**
-     * Pricing toggle logic - Always shows /month
+     * Form event bindings
      */
-    togglePricing(isAnnual) {
-        this.state.isAnnualPricing = isAnnual;
-        
-        // Update pricing amounts ONLY
-        this.elements.pricingAmounts.forEach(amount => {
-            const monthly = amount.getAttribute('data-monthly');
-            const annual = amount.getAttribute('data-annual');
-            
-            if (monthly && annual) {
-                // Add animation
-                amount.style.transform = 'scale(1.05)';
-                amount.style.transition = 'transform 0.2s ease';
-                
-                setTimeout(() => {
-                    amount.textContent = isAnnual ? annual : monthly;
-                    amount.style.transform = 'scale(1)';
-                }, 100);
+    bindFormEvents() {
+        if (this.elements.contactForm) {
+            this.listen(this.elements.contactForm, 'submit', (e) => {
+                e.preventDefault();
+                this.handleFormSubmission(e);
+            });
+
+            this.botGuard = new BotGuard(this.elements.contactForm, this.config.botGuard);
+            this.listen(this.elements.contactForm, 'reset', () => this.botGuard.reset());
+
+            this.bindDraftEvents();
+        }
+    }
+
+    /**
+     * Contact form drafts - autosaved to sessionStorage and offered back on reload
+     */
+    bindDraftEvents() {
+        const form = this.elements.contactForm;
+        const debouncedSave = this.debounce(() => this.saveDraft(), this.config.draft.saveDelay);
+
+        const handleEdit = () => {
+            // Typing over a pending prompt means the old draft is not wanted
+            if (this.draftPrompt) {
+                this.dismissDraftPrompt();
             }
-        });
+            debouncedSave();
+        };
 
-        // Update billing text ONLY (not period text)
-        this.elements.billingTexts.forEach(billingText => {
-            const monthlyText = billingText.getAttribute('data-monthly-text');
-            const annualText = billingText.getAttribute('data-annual-text');
-            
-            if (isAnnual && annualText) {
-                billingText.textContent = annualText;
-            } else if (monthlyText) {
-                billingText.textContent = monthlyText;
+        this.listen(form, 'input', handleEdit);
+        this.listen(form, 'change', handleEdit);
+        this.listen(form, 'stepper:change', debouncedSave);
+        this.listen(form, 'reset', () => {
+            this.state.isDraftSubmitted = false;
+            this.clearDraft();
+        });
+        this.listen(window, 'pagehide', () => {
+            if (!this.draftPrompt) {
+                this.saveDraft();
             }
         });
 
-        // CRITICAL: NEVER CHANGE THE PERIOD TEXT - IT STAYS "/month" ALWAYS
+        const draft = this.readDraft();
+        if (draft) {
+            this.showDraftPrompt(draft);
+        }
+    }
+
+    readDraft() {
+        try {
+            const draft = JSON.parse(sessionStorage.getItem(this.config.draft.storageKey));
+            return draft && draft.values && Object.keys(draft.values).length > 0 ? draft : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveDraft() {
+        if (this.state.isDraftSubmitted) return;
+
+        const values = this.serializeFormFields(this.elements.contactForm);
+
+        // Nothing worth restoring yet
+        if (Object.keys(values).length === 0) {
+            this.clearDraft();
+            return;
+        }
+
+        const stepper = window.ComponentManager?.getComponent('form-stepper');
+
+        try {
+            sessionStorage.setItem(this.config.draft.storageKey, JSON.stringify({
+                values,
+                step: stepper?.currentStep || 1,
+                savedAt: Date.now()
+            }));
+        } catch (error) {
+            console.warn('[Lumomire] Failed to save form draft:', error);
+        }
+    }
+
+    clearDraft() {
+        try {
+            sessionStorage.removeItem(this.config.draft.storageKey);
+        } catch (error) {
+            console.warn('[Lumomire] Failed to clear form draft:', error);
+        }
+    }
+
+    restoreDraft(draft) {
+        const form = this.elements.contactForm;
+        this.populateFormFields(form, draft.values);
+
+        // Let the stepper re-apply interest branches before jumping to the saved step
+        form.querySelector('[name="interest"]')?.dispatchEvent(new Event('change', { bubbles: true }));
+        // The stepper is loaded with the contact section
+        window.ComponentManager?.load('form-stepper').then(stepper => stepper?.goTo(draft.step || 1));
+
+        this.trackEvent('Form', 'Draft Restored', { step: draft.step || 1 });
+    }
+
+    showDraftPrompt(draft) {
+        const form = this.elements.contactForm;
+
+        this.draftPrompt = document.createElement('div');
+        this.draftPrompt.className = 'form__draft-prompt';
+        this.draftPrompt.setAttribute('role', 'status');
+
+        const text = document.createElement('p');
+        text.className = 'form__draft-text';
+        text.textContent = 'You have an unfinished request from earlier. Restore your draft?';
+
+        const restoreButton = document.createElement('button');
+        restoreButton.type = 'button';
+        restoreButton.className = 'btn btn--primary';
+        restoreButton.textContent = 'Restore draft';
+        restoreButton.addEventListener('click', () => {
+            this.dismissDraftPrompt();
+            this.restoreDraft(draft);
+        });
+
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.className = 'btn btn--secondary';
+        discardButton.textContent = 'Start over';
+        discardButton.addEventListener('click', () => {
+            this.dismissDraftPrompt();
+            this.clearDraft();
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'form__draft-actions';
+        actions.append(restoreButton, discardButton);
+
+        this.draftPrompt.append(text, actions);
+        form.prepend(this.draftPrompt);
+    }
+
+    dismissDraftPrompt() {
+        this.draftPrompt?.remove();
+        this.draftPrompt = null;
     }
 
     /**
-     * Form event bindings
+     * Named field values as a plain object; checkbox groups become arrays
      */
-    bindFormEvents() {
-        if (this.elements.contactForm) {
-            this.elements.contactForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleFormSubmission(e);
+    serializeFormFields(form) {
+        const values = {};
+
+        form.querySelectorAll('input[name], select[name], textarea[name]').forEach(field => {
+            // Inactive interest branches are disabled and not part of the answer
+            if (field.matches(':disabled')) return;
+
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                if (field.checked) {
+                    values[field.name] = [...(values[field.name] || []), field.value];
+                }
+            } else if (field.tagName === 'SELECT' && field.selectedOptions[0]?.defaultSelected) {
+                // Pre-selected defaults (e.g. the detected timezone) are not the visitor's input
+                return;
+            } else if (field.type !== 'hidden' && field.value.trim()) {
+                values[field.name] = field.value;
+            }
+        });
+
+        return values;
+    }
+
+    populateFormFields(form, values) {
+        Object.entries(values).forEach(([name, value]) => {
+            Array.from(form.elements).filter(field => field.name === name).forEach(field => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = Array.isArray(value) && value.includes(field.value);
+                } else if (typeof value === 'string') {
+                    field.value = value;
+                }
             });
-        }
+        });
     }
 
     /**
-     * Handle form submission for static landing page
+     * Handle contact form submission against the lead API
      */
     async handleFormSubmission(e) {
+        let payload = null;
+        let leadId = null;
+
         try {
             const formData = new FormData(this.elements.contactForm);
             const data = Object.fromEntries(formData.entries());
             
             // Validate form
-            if (!this.validateForm(data)) {
+            if (!(await this.validateForm())) {
+                return;
+            }
+
+            // Security: Layered bot checks before anything is sent
+            const botCheck = this.botGuard.check();
+            if (!botCheck.passed) {
+                this.handleBlockedSubmission(botCheck.reason, data);
                 return;
             }
 
             // Show loading state
             this.setFormLoading(true);
 
-            // Simulate form processing (since we don't have a backend yet)
-            await new Promise(resolve => setTimeout(resolve, 1500));
+            // Only continue once the API has accepted the lead
+            payload = this.buildLeadPayload(data);
+            payload.verification = await this.botGuard.createToken(payload.email);
+            // Also the Idempotency-Key of any retry, in case this attempt reached the server
+            leadId = this.createLeadId();
+            if (!navigator.onLine) {
+                throw new TypeError('Browser is offline');
+            }
+            await this.submitLead(payload, leadId);
+            this.botGuard.recordSubmission();
+
+            // The form is only reset after the success message; leaving before then must not save it again
+            this.state.isDraftSubmitted = true;
+            this.clearDraft();
 
             // Determine success message based on interest
             let successMessage = 'Thank you! We\'ll contact you soon.';
@@ -603,6 +1187,7 @@ class LumomireApp {
                 has_company: !!data.company,
                 source: 'contact_form'
             });
+            this.events.emit('form:submit', this.getSubmitEventDetail(payload, false));
 
             // Show success message
             this.showFormSuccess(successMessage);
@@ -615,36 +1200,374 @@ class LumomireApp {
 
         } catch (error) {
             this.handleError('Form submission failed', error);
-            this.showFormError('Something went wrong. Please try again.');
+            this.trackEvent('Form', 'Submit Failed', {
+                status: error.status || (error.name === 'AbortError' ? 'timeout' : 'network')
+            });
+
+            // Keep the lead for later instead of losing it to a flaky connection
+            if (payload && this.isRetryableError(error) && this.queueLead(payload, leadId)) {
+                this.events.emit('form:submit', this.getSubmitEventDetail(payload, true));
+                this.showNotification(navigator.onLine
+                    ? 'We couldn\'t reach our servers. Your request is saved and will be sent automatically.'
+                    : 'You\'re offline. We saved your request and will send it when you\'re back online.', 'info');
+                this.elements.contactForm.reset();
+                this.setFormLoading(false);
+                return;
+            }
+
+            this.showFormError(this.getSubmissionErrorMessage(error));
             this.setFormLoading(false);
         }
     }
 
     /**
-     * Form validation
+     * Plugins hear what kind of lead came in, never who sent it
      */
-    validateForm(data) {
-        const errors = [];
-        
-        if (!data.name?.trim()) {
-            errors.push('Name is required');
+    getSubmitEventDetail(payload, queued) {
+        return {
+            interest: payload.interest,
+            plan: payload.qualification?.['plan-interest'] || null,
+            queued
+        };
+    }
+
+    /**
+     * Respond to a submission the bot guard rejected
+     */
+    handleBlockedSubmission(reason, data) {
+        this.trackEvent('Form', 'Blocked', {
+            reason,
+            interest: data.interest || 'general'
+        });
+
+        switch (reason) {
+            case 'rate_limited':
+                this.showFormError('You\'ve sent several requests recently. Please wait a few minutes and try again.');
+                break;
+            case 'too_fast':
+                this.showFormError('That was quick! Please review your details and submit again.');
+                break;
+            default:
+                // Security: Don't reveal to bots that they were detected
+                this.showFormSuccess();
+                this.elements.contactForm.reset();
         }
-        
-        if (!data.email?.trim() || !this.isValidEmail(data.email)) {
-            errors.push('Valid email is required');
+    }
+
+    /**
+     * Build the JSON payload sent to the contact endpoint
+     */
+    buildLeadPayload(data) {
+        return {
+            name: data.name.trim(),
+            email: data.email.trim(),
+            company: data.company?.trim() || null,
+            team_size: data['team-size'] || null,
+            interest: data.interest || null,
+            qualification: this.getQualificationData(),
+            source: 'contact_form',
+            page_url: window.location.href,
+            submitted_at: new Date().toISOString(),
+            attribution: this.getAttribution(),
+            experiments: this.getExperimentVariants(),
+            roi_report: this.parseRoiReport(data.roi_report)
+        };
+    }
+
+    /**
+     * Estimate attached by the ROI calculator, if the visitor asked for it
+     */
+    parseRoiReport(value) {
+        if (!value) return null;
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
         }
-        
-        if (errors.length > 0) {
-            this.showFormError(errors.join(', '));
+    }
+
+    /**
+     * Answers from the interest-specific branch of the form, if one is active
+     */
+    getQualificationData() {
+        const form = this.elements.contactForm;
+        const formData = new FormData(form);
+        const qualification = {};
+
+        form.querySelectorAll('.form__branch:not([disabled]) [name]').forEach(field => {
+            const values = formData.getAll(field.name);
+            qualification[field.name] = field.type === 'checkbox' ? values : (values[0] || null);
+        });
+
+        return qualification;
+    }
+
+    /**
+     * POST a lead to the environment's API, rejecting on non-2xx responses. The server
+     * answers a repeated Idempotency-Key with the original result instead of a new lead.
+     */
+    async submitLead(payload, idempotencyKey = null) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.config.formTimeout);
+
+        try {
+            const response = await fetch(this.getApiUrl() + this.config.formSubmitUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+                },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`Lead submission failed with status ${response.status}`);
+                error.status = response.status;
+                error.details = await response.json().catch(() => null);
+                throw error;
+            }
+
+            return await response.json().catch(() => ({}));
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Network failures, timeouts and 5xx responses are worth retrying; 4xx are not
+     */
+    isRetryableError(error) {
+        return !error.status || error.status >= 500;
+    }
+
+    /**
+     * Offline lead queue - failed submissions persist in localStorage
+     */
+    bindLeadQueueEvents() {
+        this.listen(window, 'online', () => {
+            this.flushLeadQueue({ force: true });
+        });
+
+        // Retry anything left over from a previous visit
+        this.flushLeadQueue();
+    }
+
+    /**
+     * Queued leads, minus any older than leadQueue.maxAge, which are removed from storage
+     */
+    getLeadQueue() {
+        let queue;
+        try {
+            const stored = localStorage.getItem(this.config.leadQueue.storageKey);
+            queue = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('[Lumomire] Failed to read lead queue:', error);
+            return [];
+        }
+        if (!Array.isArray(queue)) return [];
+
+        const cutoff = Date.now() - this.config.leadQueue.maxAge;
+        const fresh = queue.filter(entry => entry.queuedAt > cutoff);
+        if (fresh.length < queue.length) {
+            console.warn(`[Lumomire] Dropped ${queue.length - fresh.length} expired queued leads`);
+            this.saveLeadQueue(fresh);
+        }
+        return fresh;
+    }
+
+    saveLeadQueue(queue) {
+        try {
+            if (queue.length > 0) {
+                localStorage.setItem(this.config.leadQueue.storageKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(this.config.leadQueue.storageKey);
+            }
+            return true;
+        } catch (error) {
+            console.warn('[Lumomire] Failed to save lead queue:', error);
             return false;
         }
-        
-        return true;
     }
 
-    isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+    createLeadId() {
+        if (window.crypto?.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    queueLead(payload, id = this.createLeadId()) {
+        const queue = this.getLeadQueue();
+        const now = Date.now();
+
+        queue.push({
+            id,
+            payload,
+            attempts: 0,
+            queuedAt: now,
+            nextAttemptAt: now + this.config.leadQueue.baseDelay
+        });
+
+        // Drop the oldest entries rather than growing storage without bound
+        const saved = this.saveLeadQueue(queue.slice(-this.config.leadQueue.maxSize));
+        if (saved) {
+            this.trackEvent('Form', 'Queued', { interest: payload.interest || 'general' });
+            this.scheduleLeadRetry();
+        }
+        return saved;
+    }
+
+    /**
+     * One tab flushes at a time; the others check back once it should be done.
+     * Without Web Locks, the Idempotency-Key keeps a double send to one lead.
+     */
+    async flushLeadQueue({ force = false } = {}) {
+        if (this.isFlushingLeads || !navigator.onLine) return;
+        if (this.getLeadQueue().length === 0) return;
+
+        if (!navigator.locks?.request) {
+            await this.sendQueuedLeads({ force });
+            return;
+        }
+
+        await navigator.locks.request(this.config.leadQueue.lockName, { ifAvailable: true }, async (lock) => {
+            if (lock) {
+                await this.sendQueuedLeads({ force });
+                return;
+            }
+
+            clearTimeout(this.leadRetryTimer);
+            this.leadRetryTimer = setTimeout(() => this.flushLeadQueue(), this.config.leadQueue.baseDelay);
+        });
+    }
+
+    async sendQueuedLeads({ force }) {
+        // Read under the lock so another tab's sends are already removed
+        const pending = this.getLeadQueue();
+        if (pending.length === 0) return;
+
+        this.isFlushingLeads = true;
+        clearTimeout(this.leadRetryTimer);
+
+        const { maxAttempts } = this.config.leadQueue;
+        const sentIds = new Set();
+        const droppedIds = new Set();
+        const retries = new Map();
+
+        for (const entry of pending) {
+            if (!force && entry.nextAttemptAt > Date.now()) continue;
+
+            try {
+                await this.submitLead(await this.refreshLeadVerification(entry.payload), entry.id);
+                sentIds.add(entry.id);
+                this.trackEvent('Form', 'Queued Lead Sent', { attempts: entry.attempts + 1 });
+            } catch (error) {
+                const attempts = entry.attempts + 1;
+
+                if (!this.isRetryableError(error) || attempts >= maxAttempts) {
+                    droppedIds.add(entry.id);
+                    this.handleError('Queued lead dropped', error);
+                } else {
+                    retries.set(entry.id, {
+                        attempts,
+                        nextAttemptAt: Date.now() + this.getRetryDelay(attempts)
+                    });
+                }
+            }
+        }
+
+        // Re-read so submissions queued while we were flushing are kept
+        const remaining = this.getLeadQueue()
+            .filter(entry => !sentIds.has(entry.id) && !droppedIds.has(entry.id))
+            .map(entry => retries.has(entry.id) ? { ...entry, ...retries.get(entry.id) } : entry);
+
+        this.saveLeadQueue(remaining);
+        this.isFlushingLeads = false;
+
+        if (sentIds.size > 0) {
+            this.showNotification('Your saved request has been sent. We\'ll be in touch soon!', 'success');
+        }
+
+        this.scheduleLeadRetry();
+    }
+
+    /**
+     * Proof-of-work stamps expire after a day, so every attempt gets a fresh one
+     */
+    async refreshLeadVerification(payload) {
+        if (!payload.verification || !this.botGuard) return payload;
+
+        return {
+            ...payload,
+            verification: await this.botGuard.createToken(payload.email)
+        };
+    }
+
+    scheduleLeadRetry() {
+        clearTimeout(this.leadRetryTimer);
+
+        const queue = this.getLeadQueue();
+        if (queue.length === 0) return;
+
+        const nextAttemptAt = Math.min(...queue.map(entry => entry.nextAttemptAt));
+        const delay = Math.max(nextAttemptAt - Date.now(), 0);
+
+        this.leadRetryTimer = setTimeout(() => this.flushLeadQueue(), delay);
+    }
+
+    getRetryDelay(attempts) {
+        const { baseDelay, maxDelay } = this.config.leadQueue;
+        const delay = Math.min(baseDelay * Math.pow(2, attempts), maxDelay);
+
+        // Jitter keeps many returning visitors from retrying in lockstep
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Map a submission failure to a visitor-facing message
+     */
+    getSubmissionErrorMessage(error) {
+        if (error.name === 'AbortError') {
+            return 'The request timed out. Please try again.';
+        }
+
+        // fetch() rejects without a response on network failures
+        if (!error.status) {
+            return 'Network error. Please check your connection and try again.';
+        }
+
+        if (error.status === 429) {
+            return 'Too many requests. Please wait a moment and try again.';
+        }
+
+        if (error.status >= 400 && error.status < 500) {
+            return error.details?.message || 'Please check your details and try again.';
+        }
+
+        return 'Our servers are having trouble right now. Please try again shortly.';
+    }
+
+    /**
+     * Form validation - delegates to the FormValidatorComponent rule engine
+     */
+    async validateForm() {
+        const form = this.elements.contactForm;
+        const validator = await window.ComponentManager?.load('form-validator');
+
+        // Fall back to native constraint validation if components failed to load
+        if (!validator) {
+            return form.reportValidity();
+        }
+
+        const { isValid, errors } = await validator.validateForm(form);
+        if (!isValid) {
+            this.showFormError(errors.map(error => error.message).join(', '));
+        }
+
+        return isValid;
     }
 
     /**
@@ -655,7 +1578,7 @@ class LumomireApp {
             this.handleScroll();
         }, 16); // 60fps
 
-        window.addEventListener('scroll', throttledScrollHandler, { passive: true });
+        this.listen(window, 'scroll', throttledScrollHandler, { passive: true });
         this.initializeScrollObserver();
     }
 
@@ -712,16 +1635,25 @@ class LumomireApp {
             this.handleResize();
         }, 250);
         
-        window.addEventListener('resize', throttledResizeHandler);
+        this.listen(window, 'resize', throttledResizeHandler);
 
         // Page visibility change
-        document.addEventListener('visibilitychange', () => {
+        this.listen(document, 'visibilitychange', () => {
             this.handleVisibilityChange();
         });
+
+        // Teardown is bound last so the draft and analytics pagehide handlers still run.
+        // A page kept in the back/forward cache (persisted) comes back exactly as it was
+        // left, so it must keep its listeners, bot guard and subscriptions.
+        this.listen(window, 'pagehide', (event) => {
+            if (!event.persisted) {
+                this.destroy();
+            }
+        });
     }
 
     handleResize() {
-        if (window.innerWidth > 768 && this.state.isMenuOpen) {
+        if (window.innerWidth > 768 && this.store.get('isMenuOpen')) {
             this.closeMobileMenu();
         }
     }
@@ -738,7 +1670,7 @@ class LumomireApp {
      * Mobile menu methods
      */
     toggleMobileMenu() {
-        if (this.state.isMenuOpen) {
+        if (this.store.get('isMenuOpen')) {
             this.closeMobileMenu();
         } else {
             this.openMobileMenu();
@@ -746,16 +1678,17 @@ class LumomireApp {
     }
 
     openMobileMenu() {
-        this.elements.navMenu?.classList.add('show-menu');
-        this.elements.body.style.overflow = 'hidden';
-        this.state.isMenuOpen = true;
+        this.store.setState({ isMenuOpen: true });
         this.trackEvent('Navigation', 'Mobile Menu Opened');
     }
 
     closeMobileMenu() {
-        this.elements.navMenu?.classList.remove('show-menu');
-        this.elements.body.style.overflow = '';
-        this.state.isMenuOpen = false;
+        this.store.setState({ isMenuOpen: false });
+    }
+
+    renderMobileMenu(isOpen) {
+        this.elements.navMenu?.classList.toggle('show-menu', isOpen);
+        this.elements.body.style.overflow = isOpen ? 'hidden' : '';
     }
 
     /**
@@ -782,22 +1715,6 @@ class LumomireApp {
         });
     }
 
-    /**
-     * Initialize components
-     */
-    initializeComponents() {
-        this.initializePricing();
-        this.initializeDashboard();
-    }
-
-    initializePricing() {
-        this.togglePricing(this.state.isAnnualPricing);
-    }
-
-    initializeDashboard() {
-        this.switchDashboard(this.state.currentDashboard);
-    }
-
     /**
      * UI helper methods
      */
@@ -939,7 +1856,7 @@ class LumomireApp {
      */
     startPerformanceMonitoring() {
         if ('performance' in window) {
-            window.addEventListener('load', () => {
+            this.listen(window, 'load', () => {
                 setTimeout(() => {
                     const navigation = performance.getEntriesByType('navigation')[0];
                     if (navigation) {
@@ -964,6 +1881,9 @@ class LumomireApp {
      * Event tracking
      */
     trackEvent(category, action, properties = {}) {
+        // Privacy: Nothing is recorded until the visitor opts in to analytics
+        if (!this.hasAnalyticsConsent()) return;
+
         try {
             const eventData = {
                 category,
@@ -974,7 +1894,10 @@ class LumomireApp {
                     page_url: window.location.href,
                     user_agent: navigator.userAgent,
                     viewport: `${window.innerWidth}x${window.innerHeight}`,
-                    environment: this.state.environment
+                    environment: this.state.environment,
+                    currency: window.LumomirePricing?.currency || null,
+                    attribution: this.getAttribution(),
+                    experiments: this.getExperimentVariants()
                 }
             };
 
@@ -992,26 +1915,61 @@ class LumomireApp {
         }
     }
 
-    async sendAnalyticsEvent(eventData) {
-        try {
-            // Send to your analytics service when available
-            await fetch(this.getApiUrl() + '/analytics', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(eventData),
-                keepalive: true
-            });
-        } catch (error) {
-            // Fail silently for analytics
-            console.warn('[Lumomire] Failed to send analytics:', error);
+    sendAnalyticsEvent(eventData) {
+        if (!this.hasAnalyticsConsent()) return;
+
+        // Buffered and batched by the transport; see analytics.js
+        this.analytics.enqueue(eventData);
+    }
+
+    hasAnalyticsConsent() {
+        return window.LumomireConsent.has('analytics');
+    }
+
+    handleConsentChange(consent) {
+        this.events.emit('consent:change', { consent });
+
+        // Drop anything buffered before consent was withdrawn
+        if (!consent.analytics) {
+            this.analytics.clear();
         }
+
+        this.persistAttribution(consent.marketing);
+
+        this.trackEvent('Consent', 'Updated', {
+            analytics: consent.analytics,
+            marketing: consent.marketing
+        });
+
+        // Exposures are only counted once the visitor has opted in
+        this.trackExperimentExposures();
+    }
+
+    /**
+     * A/B experiments - assignment and DOM variations happen in experiments.js before first paint
+     */
+    getExperimentVariants() {
+        return window.LumomireExperiments?.getVariantMap() || {};
+    }
+
+    trackExperimentExposures() {
+        if (this.state.exposuresTracked || !this.hasAnalyticsConsent()) return;
+
+        const assignments = window.LumomireExperiments?.getAssignments() || [];
+        assignments.forEach(assignment => {
+            this.trackEvent('Experiment', 'Exposure', assignment);
+        });
+        this.state.exposuresTracked = true;
     }
 
     /**
      * Utility methods
      */
+    listen(target, type, handler, options = {}) {
+        if (!target) return;
+        target.addEventListener(type, handler, { ...options, signal: this.abortController.signal });
+    }
+
     throttle(func, limit) {
         let inThrottle;
         return function(...args) {
@@ -1049,8 +2007,15 @@ class LumomireApp {
      * Cleanup
      */
     destroy() {
+        this.abortController.abort();
+        clearTimeout(this.leadRetryTimer);
+        this.botGuard?.destroy();
+        this.storeSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.storeSubscriptions = [];
+        this.analytics.destroy();
         this.observers.forEach(observer => observer.disconnect());
         this.observers.clear();
+        window.ComponentManager?.destroyAll();
         console.log('[Lumomire] Application destroyed');
     }
 }
@@ -1064,15 +2029,65 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
-// Handle page unload
-window.addEventListener('beforeunload', () => {
-    if (window.LumomireApp) {
-        window.LumomireApp.destroy();
-    }
-});
-
-// Export for external use
+/**
+ * Public plugin API. Plugin scripts load after the core scripts and use:
+ *   on / off / emit           the event bus, see assets/scripts/events.js for the events
+ *   registerComponent(name, Class)
+ *                             Class extends Lumomire.Component and is mounted on elements
+ *                             with data-component="name" as they near the viewport
+ *   registerAction(name, handler)
+ *                             handler({ action, plan, element, app }) runs for
+ *                             data-action="name" buttons
+ */
 window.Lumomire = {
     App: LumomireApp,
-    version: '1.0.0'
+    version: '1.0.0',
+
+    get Component() {
+        return window.LumomireComponents?.Component;
+    },
+
+    // app:ready is replayed to late subscribers as well
+    get isReady() {
+        return window.LumomireEvents.hasFired('app:ready');
+    },
+
+    on(event, handler) {
+        return window.LumomireEvents.on(event, handler);
+    },
+
+    off(event, handler) {
+        window.LumomireEvents.off(event, handler);
+    },
+
+    emit(event, detail) {
+        window.LumomireEvents.emit(event, detail);
+    },
+
+    registerComponent(name, ComponentClass) {
+        const manager = window.LumomireComponents?.ComponentManager;
+        if (!manager) {
+            console.warn('[Lumomire] Components are not loaded; cannot register', name);
+            return false;
+        }
+        return manager.define(name, ComponentClass);
+    },
+
+    registerAction(name, handler) {
+        if (typeof name !== 'string' || !name.trim() || typeof handler !== 'function') {
+            console.warn('[Lumomire] registerAction() expects an action name and a function');
+            return false;
+        }
+        if (BUILT_IN_CTA_ACTIONS.includes(name)) {
+            console.warn(`[Lumomire] "${name}" is a built-in CTA action and cannot be replaced`);
+            return false;
+        }
+        if (CTA_ACTIONS.has(name)) {
+            console.warn(`[Lumomire] CTA action "${name}" is already registered`);
+            return false;
+        }
+
+        CTA_ACTIONS.set(name, handler);
+        return true;
+    }
 };
\ No newline at end of file
@@ -0,0 +1,189 @@
+// assets/scripts/bot-guard.js
+
+/**
+ * Lumomire Bot Guard
+ * Self-contained, layered spam protection for forms without a third-party CAPTCHA:
+ * honeypot field, minimum time-to-submit, interaction entropy, per-browser rate
+ * limiting and a proof-of-work token the server can verify.
+ */
+
+class BotGuard {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = {
+            honeypotName: 'website',
+            minSubmitTime: 3000,
+            minInteractions: 3,
+            rateLimit: {
+                storageKey: 'lumomire-form-submissions',
+                maxSubmissions: 3,
+                windowMs: 10 * 60 * 1000
+            },
+            powDifficulty: 13,
+            ...options
+        };
+
+        this.startedAt = Date.now();
+        this.interactions = {
+            keys: [],
+            pointer: 0,
+            touch: 0,
+            focus: 0
+        };
+
+        this.handleKeydown = () => this.interactions.keys.push(performance.now());
+        this.handlePointer = () => this.interactions.pointer++;
+        this.handleTouch = () => this.interactions.touch++;
+        this.handleFocus = () => this.interactions.focus++;
+
+        if (this.form) {
+            this.form.addEventListener('keydown', this.handleKeydown);
+            this.form.addEventListener('pointermove', this.handlePointer, { passive: true });
+            this.form.addEventListener('pointerdown', this.handlePointer, { passive: true });
+            this.form.addEventListener('touchstart', this.handleTouch, { passive: true });
+            this.form.addEventListener('focusin', this.handleFocus);
+        }
+    }
+
+    /**
+     * Run the synchronous checks, returning { passed, reason }
+     */
+    check() {
+        const honeypot = this.form?.querySelector(`[name="${this.options.honeypotName}"]`);
+        if (honeypot && honeypot.value.trim() !== '') {
+            return { passed: false, reason: 'honeypot' };
+        }
+
+        if (Date.now() - this.startedAt < this.options.minSubmitTime) {
+            return { passed: false, reason: 'too_fast' };
+        }
+
+        if (!this.hasHumanInteraction()) {
+            return { passed: false, reason: 'no_interaction' };
+        }
+
+        if (this.isRateLimited()) {
+            return { passed: false, reason: 'rate_limited' };
+        }
+
+        return { passed: true, reason: null };
+    }
+
+    /**
+     * Enough varied input to look like a person; scripted typing has perfectly even key timing
+     */
+    hasHumanInteraction() {
+        const { keys, pointer, touch, focus } = this.interactions;
+        const total = keys.length + pointer + touch + focus;
+
+        if (total < this.options.minInteractions) {
+            return false;
+        }
+
+        if (keys.length >= 5 && pointer === 0 && touch === 0) {
+            const intervals = keys.slice(1).map((time, index) => time - keys[index]);
+            const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+            const variance = intervals.reduce((sum, interval) => sum + Math.pow(interval - mean, 2), 0) / intervals.length;
+
+            if (variance < 1) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    getSubmissionLog() {
+        try {
+            const log = JSON.parse(localStorage.getItem(this.options.rateLimit.storageKey));
+            return Array.isArray(log) ? log : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    isRateLimited() {
+        const { maxSubmissions, windowMs } = this.options.rateLimit;
+        const recent = this.getSubmissionLog().filter(time => Date.now() - time < windowMs);
+        return recent.length >= maxSubmissions;
+    }
+
+    /**
+     * Call after a submission is accepted so it counts toward the rate limit
+     */
+    recordSubmission() {
+        const { storageKey, windowMs } = this.options.rateLimit;
+        const recent = this.getSubmissionLog().filter(time => Date.now() - time < windowMs);
+
+        try {
+            localStorage.setItem(storageKey, JSON.stringify([...recent, Date.now()]));
+        } catch (error) {
+            console.warn('[BotGuard] Failed to record submission:', error);
+        }
+    }
+
+    /**
+     * Proof of work: find a nonce so that SHA-256(challenge + ":" + nonce) starts with
+     * `difficulty` zero bits. The challenge binds the token to the email and a timestamp,
+     * so the server can recompute the hash and reject stale or reused tokens.
+     */
+    async createToken(subject = '') {
+        if (!window.crypto?.subtle) {
+            // Insecure contexts have no SubtleCrypto; let the server decide
+            return null;
+        }
+
+        try {
+            const random = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+            const challenge = `${Date.now()}:${random}:${subject.trim().toLowerCase()}`;
+            const difficulty = this.options.powDifficulty;
+            const encoder = new TextEncoder();
+
+            for (let nonce = 0; nonce < 1e7; nonce++) {
+                const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+                if (this.hasLeadingZeroBits(new Uint8Array(digest), difficulty)) {
+                    return {
+                        challenge,
+                        nonce,
+                        difficulty,
+                        elapsed_ms: Date.now() - this.startedAt
+                    };
+                }
+            }
+        } catch (error) {
+            console.warn('[BotGuard] Failed to create proof of work:', error);
+        }
+
+        return null;
+    }
+
+    hasLeadingZeroBits(bytes, bits) {
+        const fullBytes = Math.floor(bits / 8);
+        for (let i = 0; i < fullBytes; i++) {
+            if (bytes[i] !== 0) return false;
+        }
+
+        const remainingBits = bits % 8;
+        return remainingBits === 0 || (bytes[fullBytes] >> (8 - remainingBits)) === 0;
+    }
+
+    /**
+     * Start a fresh timing window, e.g. after the form has been reset
+     */
+    reset() {
+        this.startedAt = Date.now();
+        this.interactions = { keys: [], pointer: 0, touch: 0, focus: 0 };
+    }
+
+    destroy() {
+        if (!this.form) return;
+
+        this.form.removeEventListener('keydown', this.handleKeydown);
+        this.form.removeEventListener('pointermove', this.handlePointer);
+        this.form.removeEventListener('pointerdown', this.handlePointer);
+        this.form.removeEventListener('touchstart', this.handleTouch);
+        this.form.removeEventListener('focusin', this.handleFocus);
+    }
+}
@@ -6,9 +6,145 @@
  * Security-focused, memory-optimized component management
  */
 
+// Section components, imported from ./components/ when an element declaring them
+// with data-component="name" nears the viewport. `requires` are loaded first and
+// passed to the constructor in order.
+const LAZY_COMPONENTS = {
+    'dashboard-preview': { module: 'components/dashboard-preview.js' },
+    'feature-card': { module: 'components/feature-card.js' },
+    'roi-calculator': { module: 'components/roi-calculator.js' },
+    'pricing-card': { module: 'components/pricing-card.js' },
+    'seat-recommender': { module: 'components/seat-recommender.js' },
+    'form-validator': { module: 'components/form-validator.js' },
+    'form-stepper': { module: 'components/form-stepper.js', requires: ['form-validator'] }
+};
+
+// Plugin components added with Lumomire.registerComponent(), loaded like LAZY_COMPONENTS
+const PLUGIN_COMPONENTS = new Map();
+
+/**
+ * Component
+ * Base lifecycle: mount(root) wires a component up inside root and unmount() removes
+ * every listener, timer, observer and subscription registered through the helpers
+ * below, so a section can be re-rendered or swapped without leaking handlers
+ */
+class Component {
+    constructor() {
+        this.root = null;
+        this.isMounted = false;
+        this.abortController = null;
+        this.timeouts = new Set();
+        this.intervals = new Set();
+        this.observers = new Set();
+        this.cleanups = [];
+    }
+
+    mount(root = document) {
+        if (this.isMounted) {
+            this.unmount();
+        }
+
+        this.root = root;
+        this.abortController = new AbortController();
+        this.isMounted = true;
+        this.onMount();
+        return this;
+    }
+
+    unmount() {
+        if (!this.isMounted) return;
+
+        try {
+            this.onUnmount();
+        } finally {
+            // Memory: Listeners added with listen() share this signal
+            this.abortController.abort();
+            this.timeouts.forEach(id => clearTimeout(id));
+            this.intervals.forEach(id => clearInterval(id));
+            this.observers.forEach(observer => observer.disconnect());
+            this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+
+            this.timeouts.clear();
+            this.intervals.clear();
+            this.observers.clear();
+            this.abortController = null;
+            this.root = null;
+            this.isMounted = false;
+        }
+    }
+
+    // Lifecycle hooks for subclasses
+    onMount() {}
+
+    onUnmount() {}
+
+    get signal() {
+        return this.abortController?.signal;
+    }
+
+    query(selector) {
+        return this.root ? this.root.querySelector(selector) : null;
+    }
+
+    queryAll(selector) {
+        return this.root ? this.root.querySelectorAll(selector) : [];
+    }
+
+    listen(target, type, handler, options = {}) {
+        if (!target || !this.abortController) return;
+        target.addEventListener(type, handler, { ...options, signal: this.abortController.signal });
+    }
+
+    /**
+     * A timer asked for after unmount, e.g. from a late animation frame, never starts
+     */
+    setTimeout(callback, delay) {
+        if (!this.isMounted) return null;
+
+        const id = setTimeout(() => {
+            this.timeouts.delete(id);
+            callback();
+        }, delay);
+        this.timeouts.add(id);
+        return id;
+    }
+
+    clearTimeout(id) {
+        clearTimeout(id);
+        this.timeouts.delete(id);
+    }
+
+    setInterval(callback, delay) {
+        const id = setInterval(callback, delay);
+        this.intervals.add(id);
+        return id;
+    }
+
+    clearInterval(id) {
+        clearInterval(id);
+        this.intervals.delete(id);
+    }
+
+    observe(observer) {
+        this.observers.add(observer);
+        return observer;
+    }
+
+    /**
+     * Run cleanup on unmount, e.g. the unsubscribe function of a store subscription
+     */
+    addCleanup(cleanup) {
+        this.cleanups.push(cleanup);
+        return cleanup;
+    }
+}
+
 class ComponentManager {
     constructor() {
         this.components = new Map();
+        this.pendingLoads = new Map();
+        this.observer = null;
+        this.lazyObserver = null;
         this.animationFrame = null;
         this.isInitialized = false;
         this.performanceMetrics = {
@@ -24,6 +160,7 @@ class ComponentManager {
         if (this.isInitialized) return;
         
         this.registerComponents();
+        this.observeLazyComponents();
         this.initializeAnimations();
         this.setupIntersectionObservers();
         this.isInitialized = true;
@@ -31,20 +168,180 @@ class ComponentManager {
         console.log('[ComponentManager] Initialized successfully');
     }
 
+    /**
+     * Page-wide components; section components are loaded lazily, see LAZY_COMPONENTS
+     */
     registerComponents() {
+        this.register('performance-monitor', new PerformanceMonitorComponent());
+        this.register('scroll-animator', new ScrollAnimatorComponent());
+        this.register('consent-banner', new ConsentBannerComponent());
+        this.register('demo-scheduler', new DemoSchedulerComponent());
+        this.register('video-demo', new VideoDemoComponent());
+
+        console.log('[ComponentManager] All components registered successfully');
+    }
+
+    observeLazyComponents() {
+        const roots = document.querySelectorAll('[data-component]');
+
+        if (!('IntersectionObserver' in window)) {
+            roots.forEach(root => this.loadSection(root));
+            return;
+        }
+
+        // Performance: Start loading a little before the section scrolls into view
+        this.lazyObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.lazyObserver.unobserve(entry.target);
+                    this.loadSection(entry.target);
+                }
+            });
+        }, { rootMargin: '300px 0px' });
+
+        roots.forEach(root => this.lazyObserver.observe(root));
+    }
+
+    loadSection(root) {
+        const names = root.getAttribute('data-component').split(/\s+/).filter(Boolean);
+        return Promise.all(names.map(name => this.load(name, root)));
+    }
+
+    /**
+     * Resolve a component, importing and mounting a lazy one first if needed.
+     * Without a root it mounts against the first element that declares it.
+     */
+    load(name, root = null) {
+        if (this.components.has(name)) {
+            return Promise.resolve(this.components.get(name));
+        }
+        if (this.pendingLoads.has(name)) {
+            return this.pendingLoads.get(name);
+        }
+
+        const definition = LAZY_COMPONENTS[name] || PLUGIN_COMPONENTS.get(name);
+        if (!definition) {
+            console.warn('[ComponentManager] Unknown component:', name);
+            return Promise.resolve(null);
+        }
+
+        const target = root || document.querySelector(`[data-component~="${name}"]`) || document;
+        const pending = this.importComponent(name, definition, target)
+            .finally(() => this.pendingLoads.delete(name));
+
+        this.pendingLoads.set(name, pending);
+        return pending;
+    }
+
+    async importComponent(name, { module, ComponentClass: definedClass, requires = [] }, root) {
+        const startTime = performance.now();
+
+        try {
+            const dependencies = await Promise.all(requires.map(dependency => this.load(dependency)));
+            const ComponentClass = definedClass || (await this.importModule(module)).default;
+            const importedAt = performance.now();
+            const component = this.register(name, new ComponentClass(...dependencies), root);
+
+            this.getComponent('performance-monitor')?.recordComponentLoad(name, {
+                importTime: importedAt - startTime,
+                mountTime: performance.now() - importedAt
+            });
+            return component;
+        } catch (error) {
+            console.error(`[ComponentManager] Failed to load ${name}:`, error);
+            return null;
+        }
+    }
+
+    importModule(module) {
+        // Resolved against this script's URL
+        return import(`./${module}`);
+    }
+
+    /**
+     * Add a plugin component class; sections that declare it and were already
+     * reached are picked up again by the lazy observer
+     */
+    static define(name, ComponentClass) {
+        if (typeof name !== 'string' || !name.trim() || !(ComponentClass?.prototype instanceof Component)) {
+            console.warn('[ComponentManager] define() expects a name and a class extending Component:', name);
+            return false;
+        }
+        if (LAZY_COMPONENTS[name] || PLUGIN_COMPONENTS.has(name)) {
+            console.warn(`[ComponentManager] Component "${name}" is already defined`);
+            return false;
+        }
+
+        PLUGIN_COMPONENTS.set(name, { ComponentClass });
+
+        const manager = window.ComponentManager;
+        if (manager?.isInitialized) {
+            document.querySelectorAll(`[data-component~="${name}"]`).forEach(root => {
+                if (manager.lazyObserver) {
+                    manager.lazyObserver.observe(root);
+                } else {
+                    manager.loadSection(root);
+                }
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Mount a component under name; a component already registered under it is unmounted first
+     */
+    register(name, component, root = document) {
         // Security: Register components with input validation
+        if (typeof name !== 'string' || !name.trim() || !(component instanceof Component)) {
+            console.warn('[ComponentManager] Invalid component registration:', name);
+            return null;
+        }
+
+        this.unregister(name);
+
         try {
-            this.components.set('pricing-card', new PricingCardComponent());
-            this.components.set('dashboard-preview', new DashboardPreviewComponent());
-            this.components.set('feature-card', new FeatureCardComponent());
-            this.components.set('form-validator', new FormValidatorComponent());
-            this.components.set('scroll-animator', new ScrollAnimatorComponent());
-            this.components.set('performance-monitor', new PerformanceMonitorComponent());
-            
-            console.log('[ComponentManager] All components registered successfully');
+            component.mount(root);
         } catch (error) {
-            console.error('[ComponentManager] Component registration failed:', error);
+            // One broken component must not take the others down
+            console.error(`[ComponentManager] Failed to mount ${name}:`, error);
+            component.unmount();
+            return null;
         }
+
+        this.components.set(name, component);
+        window.LumomireEvents?.emit('component:mount', { name, component });
+        return component;
+    }
+
+    unregister(name) {
+        const component = this.components.get(name);
+        if (!component) return false;
+
+        this.components.delete(name);
+
+        try {
+            component.unmount();
+        } catch (error) {
+            console.error(`[ComponentManager] Failed to unmount ${name}:`, error);
+        }
+
+        window.LumomireEvents?.emit('component:unmount', { name, component });
+        return true;
+    }
+
+    /**
+     * Unmount every component, most recently registered first
+     */
+    destroyAll() {
+        Array.from(this.components.keys()).reverse().forEach(name => this.unregister(name));
+
+        this.lazyObserver?.disconnect();
+        this.lazyObserver = null;
+        this.observer?.disconnect();
+        this.observer = null;
+        this.isInitialized = false;
+
+        console.log('[ComponentManager] All components destroyed');
     }
 
     getComponent(name) {
@@ -132,6 +429,8 @@ class ComponentManager {
         animatableElements.forEach(el => {
             if (el) observer.observe(el);
         });
+
+        this.observer = observer;
     }
 
     // Performance monitoring
@@ -152,724 +451,1095 @@ class ComponentManager {
 }
 
 /**
- * Pricing Card Component
- * Handles pricing interactions with security validation
+ * Scroll Animator Component
+ * Performance-optimized scroll animations
  */
-class PricingCardComponent {
+class ScrollAnimatorComponent extends Component {
     constructor() {
-        this.cards = document.querySelectorAll('.pricing-card');
-        this.toggle = document.getElementById('pricing-toggle');
-        this.amounts = document.querySelectorAll('.pricing-card__amount');
-        
-        this.bindEvents();
-    }
-
-    bindEvents() {
-        // Security: Validate elements exist before binding
-        if (this.toggle) {
-            this.toggle.addEventListener('change', (e) => {
-                this.animatePriceChange(e.target.checked);
-            });
-        }
-
-        this.cards.forEach(card => {
-            if (card) {
-                card.addEventListener('mouseenter', () => this.onCardHover(card));
-                card.addEventListener('mouseleave', () => this.onCardLeave(card));
-            }
-        });
-
-        // Button interactions with security validation
-        this.cards.forEach(card => {
-            const button = card.querySelector('.btn');
-            if (button) {
-                button.addEventListener('click', () => this.onButtonClick(card, button));
-            }
-        });
+        super();
+        this.isAnimating = false;
     }
 
-    animatePriceChange(isAnnual) {
-        if (!this.amounts || this.amounts.length === 0) return;
-
-        this.amounts.forEach((amount, index) => {
-            if (!amount) return;
+    onMount() {
+        this.scrollElements = this.queryAll('[data-scroll-animation]');
 
-            // Performance: Stagger animations to prevent blocking
-            setTimeout(() => {
-                this.animateSinglePrice(amount, isAnnual);
-            }, index * 50); // Reduced delay for better performance
-        });
+        this.setupScrollObserver();
+        this.setupPerformanceOptimizations();
     }
 
-    animateSinglePrice(amount, isAnnual) {
-        // Security: Validate data attributes exist
-        const monthly = amount.getAttribute('data-monthly');
-        const annual = amount.getAttribute('data-annual');
-        
-        if (!monthly || !annual) {
-            console.warn('[PricingCard] Missing price data attributes');
+    setupScrollObserver() {
+        if (!('IntersectionObserver' in window)) {
+            console.warn('[ScrollAnimator] IntersectionObserver not supported');
             return;
         }
 
-        // Performance optimized animation
-        amount.style.transform = 'scale(1.05)';
-        amount.style.transition = 'transform 0.15s ease';
-        
-        setTimeout(() => {
-            amount.textContent = isAnnual ? annual : monthly;
-            amount.style.transform = 'scale(1)';
-        }, 75);
-    }
-
-    onCardHover(card) {
-        if (!card) return;
-
-        // Performance: Use CSS transforms instead of changing multiple properties
-        card.style.transform = 'translateY(-4px)';
-        card.style.boxShadow = '0 20px 40px rgba(212, 175, 55, 0.15)';
-        card.style.borderColor = '#d4af37';
-        
-        this.animateCardFeatures(card);
-    }
-
-    onCardLeave(card) {
-        if (!card) return;
-
-        // Reset card styles
-        card.style.transform = '';
-        card.style.boxShadow = '';
-        card.style.borderColor = '';
-        
-        this.resetCardFeatures(card);
-    }
-
-    animateCardFeatures(card) {
-        const features = card.querySelectorAll('.features-list__item');
-        const checkIcons = card.querySelectorAll('.check-icon');
-        
-        // Performance: Batch DOM updates
-        requestAnimationFrame(() => {
-            features.forEach((feature, index) => {
-                if (feature) {
-                    setTimeout(() => {
-                        feature.style.transform = 'translateX(8px)';
-                    }, index * 30);
+        const observer = this.observe(new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting && !this.isAnimating) {
+                    this.isAnimating = true;
+                    const animation = entry.target.getAttribute('data-scroll-animation');
+                    this.animateElement(entry.target, animation);
+                    observer.unobserve(entry.target);
+                    
+                    // Reset animation lock
+                    this.setTimeout(() => {
+                        this.isAnimating = false;
+                    }, 600);
                 }
             });
+        }, {
+            threshold: 0.1,
+            rootMargin: '0px 0px -100px 0px'
+        }));
 
-            checkIcons.forEach((icon, index) => {
-                if (icon) {
-                    setTimeout(() => {
-                        icon.style.color = '#f1c40f';
-                        icon.style.transform = 'scale(1.1)';
-                    }, index * 20);
-                }
-            });
+        this.scrollElements.forEach(el => {
+            if (el) observer.observe(el);
         });
     }
 
-    resetCardFeatures(card) {
-        const features = card.querySelectorAll('.features-list__item');
-        const checkIcons = card.querySelectorAll('.check-icon');
-        
-        features.forEach(feature => {
-            if (feature) {
-                feature.style.transform = '';
-            }
-        });
+    animateElement(element, animation) {
+        if (!element || !animation) return;
 
-        checkIcons.forEach(icon => {
-            if (icon) {
-                icon.style.color = '';
-                icon.style.transform = '';
+        // Performance: Use requestAnimationFrame
+        requestAnimationFrame(() => {
+            switch (animation) {
+                case 'fadeInUp':
+                    this.fadeInUp(element);
+                    break;
+                case 'slideInLeft':
+                    this.slideInLeft(element);
+                    break;
+                case 'scaleIn':
+                    this.scaleIn(element);
+                    break;
+                default:
+                    console.warn('[ScrollAnimator] Unknown animation:', animation);
             }
         });
     }
 
-    onButtonClick(card, button) {
-        if (!card || !button) return;
+    fadeInUp(element) {
+        element.style.cssText = `
+            opacity: 0;
+            transform: translateY(30px);
+            transition: all 0.6s cubic-bezier(0.4, 0, 0.2, 1);
+        `;
+        
+        this.setTimeout(() => {
+            element.style.opacity = '1';
+            element.style.transform = 'translateY(0)';
+        }, 50);
+    }
 
-        // Security: Prevent multiple rapid clicks
-        if (button.disabled) return;
+    slideInLeft(element) {
+        element.style.cssText = `
+            opacity: 0;
+            transform: translateX(-50px);
+            transition: all 0.6s cubic-bezier(0.4, 0, 0.2, 1);
+        `;
         
-        button.disabled = true;
+        this.setTimeout(() => {
+            element.style.opacity = '1';
+            element.style.transform = 'translateX(0)';
+        }, 50);
+    }
+
+    scaleIn(element) {
+        element.style.cssText = `
+            opacity: 0;
+            transform: scale(0.8);
+            transition: all 0.6s cubic-bezier(0.4, 0, 0.2, 1);
+        `;
         
-        // Animation with performance optimization
-        button.style.transform = 'scale(0.95)';
-        setTimeout(() => {
-            button.style.transform = '';
-            button.disabled = false;
-        }, 150);
-
-        card.classList.add('animate-scale-in');
-        setTimeout(() => {
-            card.classList.remove('animate-scale-in');
-        }, 300);
+        this.setTimeout(() => {
+            element.style.opacity = '1';
+            element.style.transform = 'scale(1)';
+        }, 50);
+    }
+
+    setupPerformanceOptimizations() {
+        // Performance: Reduce animations on low-end devices
+        if (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 2) {
+            console.log('[ScrollAnimator] Reducing animations for low-end device');
+            document.documentElement.style.setProperty('--animation-duration', '150ms');
+        }
     }
 }
 
 /**
- * Dashboard Preview Component
- * Secure dashboard cycling with memory management
+ * Consent Banner Component
+ * Cookie consent banner and preferences panel backed by LumomireConsent
  */
-class DashboardPreviewComponent {
+class ConsentBannerComponent extends Component {
     constructor() {
-        this.container = document.getElementById('dashboard-preview');
-        this.toggles = document.querySelectorAll('.dashboard-toggle');
-        this.slides = document.querySelectorAll('.dashboard-slide');
-        this.currentIndex = 1; // Start with CFO dashboard
-        this.isAutoPlaying = false;
-        this.autoPlayInterval = null;
-        this.lastInteractionTime = Date.now();
-        
-        this.init();
+        super();
+        this.consent = window.LumomireConsent;
+        this.banner = null;
     }
 
-    init() {
-        if (!this.container) {
-            console.warn('[DashboardPreview] Container not found');
+    onMount() {
+        this.openLinks = this.queryAll('[data-consent-open]');
+
+        if (!this.consent) {
+            console.warn('[ConsentBanner] Consent preferences not available');
             return;
         }
-        
+
         this.bindEvents();
-        this.startAutoPlay();
-        this.setupMetricAnimation();
+
+        // Privacy signals count as a decision, so those visitors are not prompted
+        if (!this.consent.hasDecided()) {
+            this.show();
+        }
     }
 
     bindEvents() {
-        this.toggles.forEach((toggle, index) => {
-            if (toggle) {
-                toggle.addEventListener('click', (e) => {
+        this.openLinks.forEach(link => {
+            if (link) {
+                this.listen(link, 'click', (e) => {
                     e.preventDefault();
-                    this.switchTo(index);
-                    this.pauseAutoPlay();
-                    this.lastInteractionTime = Date.now();
-                    
-                    // Resume autoplay after user interaction
-                    setTimeout(() => this.resumeAutoPlay(), 5000);
+                    this.show({ expanded: true });
                 });
             }
         });
+    }
 
-        // Performance: Use passive listeners for scroll events
-        this.container.addEventListener('mouseenter', () => this.pauseAutoPlay(), { passive: true });
-        this.container.addEventListener('mouseleave', () => this.resumeAutoPlay(), { passive: true });
+    onUnmount() {
+        this.hide();
     }
 
-    switchTo(index) {
-        // Security: Validate index bounds
-        if (index < 0 || index >= this.slides.length) {
-            console.warn('[DashboardPreview] Invalid slide index:', index);
-            return;
-        }
+    show({ expanded = false } = {}) {
+        this.hide();
+
+        const current = this.consent.get();
+        const signalNotice = this.consent.hasPrivacySignal()
+            ? '<p class="consent-banner__notice">Your browser\'s privacy signal is respected: analytics and marketing stay off unless you turn them on.</p>'
+            : '';
+
+        // Security: Static template only, no visitor-controlled values
+        this.banner = document.createElement('div');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('role', 'dialog');
+        this.banner.setAttribute('aria-labelledby', 'consent-banner-title');
+        this.banner.innerHTML = `
+            <h2 class="consent-banner__title" id="consent-banner-title">Your privacy choices</h2>
+            <p class="consent-banner__text">
+                We use necessary cookies to run this site. With your permission we also use analytics
+                to improve it and marketing cookies to measure our campaigns.
+            </p>
+            ${signalNotice}
+            <div class="consent-banner__options"${expanded ? '' : ' hidden'}>
+                <label class="consent-banner__option">
+                    <input type="checkbox" name="necessary" checked disabled>
+                    <span><strong>Necessary</strong> Required for the site to work</span>
+                </label>
+                <label class="consent-banner__option">
+                    <input type="checkbox" name="analytics"${current.analytics ? ' checked' : ''}>
+                    <span><strong>Analytics</strong> Anonymous usage and performance statistics, and the same page variant on every visit</span>
+                </label>
+                <label class="consent-banner__option">
+                    <input type="checkbox" name="marketing"${current.marketing ? ' checked' : ''}>
+                    <span><strong>Marketing</strong> Campaign attribution and measurement</span>
+                </label>
+            </div>
+            <div class="consent-banner__actions">
+                <button type="button" class="consent-banner__link" data-consent-choice="customize"${expanded ? ' hidden' : ''}>Customize</button>
+                <button type="button" class="btn btn--secondary" data-consent-choice="reject">Reject non-essential</button>
+                <button type="button" class="btn btn--secondary" data-consent-choice="save"${expanded ? '' : ' hidden'}>Save choices</button>
+                <button type="button" class="btn btn--primary" data-consent-choice="accept">Accept all</button>
+            </div>
+        `;
 
-        if (index === this.currentIndex) return;
+        this.banner.querySelectorAll('[data-consent-choice]').forEach(button => {
+            button.addEventListener('click', () => this.handleChoice(button.getAttribute('data-consent-choice')));
+        });
 
-        const currentSlide = this.slides[this.currentIndex];
-        const nextSlide = this.slides[index];
-        
-        // Performance: Use transform instead of changing multiple properties
-        if (currentSlide) {
-            currentSlide.style.transform = 'translateX(-100%)';
-            currentSlide.style.opacity = '0';
-            setTimeout(() => {
-                currentSlide.classList.remove('active');
-            }, 150);
-        }
-
-        if (nextSlide) {
-            nextSlide.classList.add('active');
-            nextSlide.style.transform = 'translateX(100%)';
-            nextSlide.style.opacity = '0';
-            
-            // Performance: Use requestAnimationFrame for smooth animation
-            requestAnimationFrame(() => {
-                nextSlide.style.transform = 'translateX(0)';
-                nextSlide.style.opacity = '1';
-            });
+        document.body.appendChild(this.banner);
+        this.banner.classList.add('animate-fade-in-up');
+
+        if (expanded) {
+            this.banner.querySelector('input[name="analytics"]')?.focus();
         }
+    }
 
-        this.updateToggles(index);
-        this.currentIndex = index;
-        this.animateMetrics(nextSlide);
+    handleChoice(choice) {
+        switch (choice) {
+            case 'accept':
+                this.consent.save({ analytics: true, marketing: true });
+                break;
+            case 'reject':
+                this.consent.save({ analytics: false, marketing: false });
+                break;
+            case 'save':
+                this.consent.save({
+                    analytics: !!this.banner.querySelector('input[name="analytics"]')?.checked,
+                    marketing: !!this.banner.querySelector('input[name="marketing"]')?.checked
+                });
+                break;
+            case 'customize':
+                this.expand();
+                return;
+            default:
+                console.warn('[ConsentBanner] Unknown consent choice:', choice);
+                return;
+        }
+
+        this.hide();
     }
 
-    updateToggles(activeIndex) {
-        this.toggles.forEach((toggle, index) => {
-            if (toggle) {
-                const isActive = index === activeIndex;
-                toggle.classList.toggle('active', isActive);
-                
-                // Performance: Batch style updates
-                if (isActive) {
-                    toggle.style.background = '#d4af37';
-                    toggle.style.color = 'white';
-                } else {
-                    toggle.style.background = '';
-                    toggle.style.color = '';
-                }
-            }
-        });
+    expand() {
+        if (!this.banner) return;
+
+        this.banner.querySelector('.consent-banner__options').hidden = false;
+        this.banner.querySelector('[data-consent-choice="customize"]').hidden = true;
+        this.banner.querySelector('[data-consent-choice="save"]').hidden = false;
+        this.banner.querySelector('input[name="analytics"]')?.focus();
     }
 
-    animateMetrics(slide) {
-        if (!slide) return;
+    hide() {
+        if (this.banner && this.banner.parentNode) {
+            this.banner.remove();
+        }
+        this.banner = null;
+    }
+}
 
-        const metrics = slide.querySelectorAll('.metric-card');
-        
-        // Performance: Use requestAnimationFrame for smooth animations
-        requestAnimationFrame(() => {
-            metrics.forEach((metric, index) => {
-                if (metric) {
-                    setTimeout(() => {
-                        metric.style.transform = 'scale(1.02)';
-                        metric.style.borderColor = '#d4af37';
-                        
-                        setTimeout(() => {
-                            metric.style.transform = '';
-                            metric.style.borderColor = '';
-                        }, 200);
-                    }, index * 100);
-                }
-            });
+/**
+ * Modal Dialog
+ * Accessible modal shell: focus trap, Escape and overlay close, focus restore
+ */
+class ModalDialog {
+    constructor({ id, title, className = '', onClose = null } = {}) {
+        this.id = id;
+        this.onClose = onClose;
+        this.trigger = null;
+        this.isOpen = false;
+
+        // Security: Static template only; the title is set through textContent below
+        this.element = document.createElement('div');
+        this.element.className = `modal ${className}`.trim();
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <div class="modal__overlay" data-modal-close></div>
+            <div class="modal__dialog" role="dialog" aria-modal="true" aria-labelledby="${id}-title" tabindex="-1">
+                <div class="modal__header">
+                    <h2 class="modal__title" id="${id}-title"></h2>
+                    <button type="button" class="modal__close" aria-label="Close" data-modal-close>&times;</button>
+                </div>
+                <div class="modal__body"></div>
+            </div>
+        `;
+
+        this.dialog = this.element.querySelector('.modal__dialog');
+        this.titleElement = this.element.querySelector('.modal__title');
+        this.body = this.element.querySelector('.modal__body');
+        this.setTitle(title);
+
+        this.handleKeydown = (e) => this.onKeydown(e);
+        this.element.querySelectorAll('[data-modal-close]').forEach(el => {
+            el.addEventListener('click', () => this.close());
         });
+
+        document.body.appendChild(this.element);
     }
 
-    startAutoPlay() {
-        if (this.isAutoPlaying || this.autoPlayInterval) return;
-        
-        this.isAutoPlaying = true;
-        this.autoPlayInterval = setInterval(() => {
-            // Security: Check if tab is visible to prevent unnecessary work
-            if (document.hidden) return;
-            
-            // Performance: Check if user recently interacted
-            if (Date.now() - this.lastInteractionTime < 10000) return; // 10 seconds
-            
-            const nextIndex = (this.currentIndex + 1) % this.slides.length;
-            this.switchTo(nextIndex);
-        }, 4000);
+    setTitle(title = '') {
+        this.titleElement.textContent = title;
     }
 
-    pauseAutoPlay() {
-        this.isAutoPlaying = false;
-        if (this.autoPlayInterval) {
-            clearInterval(this.autoPlayInterval);
-            this.autoPlayInterval = null;
-        }
+    open(trigger = document.activeElement) {
+        if (this.isOpen) return;
+
+        this.trigger = trigger;
+        this.isOpen = true;
+        this.element.hidden = false;
+        document.body.style.overflow = 'hidden';
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.focusFirst();
     }
 
-    resumeAutoPlay() {
-        // Only resume if user hasn't interacted recently
-        if (Date.now() - this.lastInteractionTime > 5000) {
-            this.startAutoPlay();
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.element.hidden = true;
+        document.body.style.overflow = '';
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (this.onClose) {
+            this.onClose();
+        }
+
+        // Return focus to whatever opened the dialog
+        if (this.trigger && typeof this.trigger.focus === 'function' && document.contains(this.trigger)) {
+            this.trigger.focus();
         }
+        this.trigger = null;
     }
 
-    setupMetricAnimation() {
-        // Performance: Only animate when visible
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.animateMetricValues();
-                }
-            });
-        }, { threshold: 0.5 });
+    getFocusableElements() {
+        return Array.from(this.dialog.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), video[controls], [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !el.closest('[hidden]'));
+    }
 
-        if (this.container) {
-            observer.observe(this.container);
-        }
+    /**
+     * Focus the first control in the body, falling back to the dialog itself
+     */
+    focusFirst() {
+        const target = this.getFocusableElements().find(el => !el.hasAttribute('data-modal-close'));
+        (target || this.dialog).focus();
     }
 
-    animateMetricValues() {
-        if (document.hidden) return;
+    onKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
 
-        const activeSlide = document.querySelector('.dashboard-slide.active');
-        if (!activeSlide) return;
+        if (e.key !== 'Tab') return;
 
-        const metricValues = activeSlide.querySelectorAll('.metric-value');
-        
-        // Performance: Batch DOM updates
-        requestAnimationFrame(() => {
-            metricValues.forEach(value => {
-                if (value) {
-                    value.style.color = '#f1c40f';
-                    value.style.transform = 'scale(1.05)';
-                    
-                    setTimeout(() => {
-                        value.style.color = '';
-                        value.style.transform = '';
-                    }, 300);
-                }
-            });
-        });
+        // Keep Tab and Shift+Tab cycling inside the dialog
+        const focusable = this.getFocusableElements();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            this.dialog.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.element.remove();
     }
 }
 
 /**
- * Feature Card Component
- * Memory-optimized feature card animations
+ * Demo Scheduler Component
+ * Booking modal: fetches open slots, shows them in the visitor's timezone and creates an .ics file
  */
-class FeatureCardComponent {
+class DemoSchedulerComponent extends Component {
     constructor() {
-        this.cards = document.querySelectorAll('.feature');
-        this.bindEvents();
+        super();
+        this.slotsEndpoint = '/demo/slots';
+        this.bookingsEndpoint = '/demo/bookings';
+        this.timezone = this.detectTimezone();
+        this.modal = null;
+        this.slots = [];
+        this.selectedSlot = null;
+        this.booking = null;
+        this.calendarUrl = null;
     }
 
-    bindEvents() {
-        this.cards.forEach(card => {
-            if (card) {
-                card.addEventListener('mouseenter', () => this.onCardEnter(card), { passive: true });
-                card.addEventListener('mouseleave', () => this.onCardLeave(card), { passive: true });
-            }
-        });
+    /**
+     * The modal is created on first open; unmounting removes it and aborts pending slot requests
+     */
+    onUnmount() {
+        this.botGuard?.destroy();
+        this.modal?.destroy();
+        this.modal = null;
     }
 
-    onCardEnter(card) {
-        if (!card) return;
-
-        // Performance: Use transform for better performance
-        const icon = card.querySelector('.feature__icon');
-        const title = card.querySelector('.feature__title');
-        
-        if (icon) {
-            icon.style.transform = 'scale(1.1) rotate(5deg)';
-            icon.style.background = 'linear-gradient(135deg, #1a365d 0%, #d4af37 100%)';
+    detectTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
         }
+    }
 
-        if (title) {
-            title.style.color = '#1a365d';
-        }
+    getApiUrl() {
+        return window.LumomireApp?.getApiUrl() || '/api';
+    }
 
-        this.animateListItems(card);
+    track(action, properties = {}) {
+        window.LumomireApp?.trackEvent('Demo Scheduler', action, properties);
     }
 
-    onCardLeave(card) {
-        if (!card) return;
+    open(trigger = document.activeElement) {
+        if (!this.modal) {
+            this.modal = new ModalDialog({
+                id: 'demo-scheduler',
+                title: 'Schedule a live demo',
+                className: 'modal--scheduler',
+                onClose: () => this.handleClose()
+            });
+        }
 
-        const icon = card.querySelector('.feature__icon');
-        const title = card.querySelector('.feature__title');
-        
-        if (icon) {
-            icon.style.transform = '';
-            icon.style.background = '';
+        this.selectedSlot = null;
+        this.booking = null;
+        this.modal.open(trigger);
+        this.track('Opened', { timezone: this.timezone });
+        this.loadSlots();
+    }
+
+    handleClose() {
+        if (this.calendarUrl) {
+            URL.revokeObjectURL(this.calendarUrl);
+            this.calendarUrl = null;
         }
 
-        if (title) {
-            title.style.color = '';
+        if (!this.booking) {
+            this.track('Abandoned', { slot_selected: !!this.selectedSlot });
         }
+    }
+
+    async loadSlots(notice = null) {
+        this.renderStatus('Finding available times…');
+
+        try {
+            const url = `${this.getApiUrl()}${this.slotsEndpoint}?timezone=${encodeURIComponent(this.timezone)}`;
+            const response = await fetch(url, { headers: { 'Accept': 'application/json' }, signal: this.signal });
+
+            if (!response.ok) {
+                throw new Error(`Slots request failed with status ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.slots = (Array.isArray(data?.slots) ? data.slots : [])
+                .filter(slot => slot && slot.id && !isNaN(Date.parse(slot.start)) && !isNaN(Date.parse(slot.end)) && Date.parse(slot.start) > Date.now());
 
-        this.resetListItems(card);
+            if (!this.modal?.isOpen) return;
+
+            if (this.slots.length === 0) {
+                this.renderFallback('There are no open demo times right now.');
+                return;
+            }
+
+            this.renderSlots(notice);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            console.warn('[DemoScheduler] Failed to load slots:', error);
+            if (this.modal?.isOpen) {
+                this.renderFallback('We couldn\'t load available times.');
+            }
+        }
     }
 
-    animateListItems(card) {
-        const listItems = card.querySelectorAll('.feature__list li');
-        
-        // Performance: Use requestAnimationFrame
-        requestAnimationFrame(() => {
-            listItems.forEach((item, index) => {
-                if (item) {
-                    setTimeout(() => {
-                        item.style.transform = 'translateX(10px)';
-                        item.style.color = '#374151';
-                    }, index * 30);
+    /**
+     * Slots grouped by calendar day in the visitor's timezone
+     */
+    groupSlotsByDay() {
+        const dayFormatter = new Intl.DateTimeFormat(undefined, {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            timeZone: this.timezone
+        });
+        const days = new Map();
+
+        this.slots
+            .slice()
+            .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+            .forEach(slot => {
+                const label = dayFormatter.format(new Date(slot.start));
+                if (!days.has(label)) {
+                    days.set(label, []);
                 }
+                days.get(label).push(slot);
             });
-        });
+
+        return days;
     }
 
-    resetListItems(card) {
-        const listItems = card.querySelectorAll('.feature__list li');
-        
-        listItems.forEach(item => {
-            if (item) {
-                item.style.transform = '';
-                item.style.color = '';
-            }
-        });
+    formatTime(date) {
+        return new Intl.DateTimeFormat(undefined, {
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: this.timezone
+        }).format(new Date(date));
     }
-}
 
-/**
- * Form Validator Component
- * Secure form validation with memory optimization
- */
-class FormValidatorComponent {
-    constructor() {
-        this.forms = document.querySelectorAll('form');
-        this.validationRules = new Map();
-        this.initializeForms();
+    formatSlot(slot) {
+        const date = new Intl.DateTimeFormat(undefined, {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            timeZone: this.timezone
+        }).format(new Date(slot.start));
+
+        return `${date}, ${this.formatTime(slot.start)} – ${this.formatTime(slot.end)}`;
     }
 
-    initializeForms() {
-        this.forms.forEach(form => {
-            if (form) {
-                this.setupFormValidation(form);
-                this.enhanceFormUX(form);
-            }
-        });
+    renderStatus(message) {
+        this.modal.body.innerHTML = '';
+
+        const status = document.createElement('p');
+        status.className = 'scheduler__status';
+        status.setAttribute('role', 'status');
+        status.textContent = message;
+        this.modal.body.appendChild(status);
     }
 
-    setupFormValidation(form) {
-        const inputs = form.querySelectorAll('input, select, textarea');
-        
-        inputs.forEach(input => {
-            if (input) {
-                input.addEventListener('blur', () => this.validateField(input));
-                input.addEventListener('input', () => this.clearFieldError(input));
-            }
+    renderSlots(notice = null) {
+        // Security: Slot data comes from the API, so build nodes instead of HTML strings
+        const body = this.modal.body;
+        body.innerHTML = '';
+
+        const intro = document.createElement('p');
+        intro.className = 'scheduler__intro';
+        intro.textContent = `${notice || 'Pick a time for a 30-minute walkthrough.'} Times are shown in ${this.timezone.replace(/_/g, ' ')}.`;
+        body.appendChild(intro);
+
+        const days = document.createElement('div');
+        days.className = 'scheduler__days';
+
+        this.groupSlotsByDay().forEach((slots, label) => {
+            const group = document.createElement('div');
+            group.className = 'scheduler__day';
+            group.setAttribute('role', 'group');
+
+            const heading = document.createElement('h3');
+            heading.className = 'scheduler__day-label';
+            heading.textContent = label;
+            heading.id = `scheduler-day-${days.children.length}`;
+            group.setAttribute('aria-labelledby', heading.id);
+            group.appendChild(heading);
+
+            const list = document.createElement('div');
+            list.className = 'scheduler__slots';
+
+            slots.forEach(slot => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'scheduler__slot';
+                button.textContent = this.formatTime(slot.start);
+                button.setAttribute('aria-pressed', String(this.selectedSlot?.id === slot.id));
+                button.setAttribute('aria-label', this.formatSlot(slot));
+                button.addEventListener('click', () => this.selectSlot(slot));
+                list.appendChild(button);
+            });
+
+            group.appendChild(list);
+            days.appendChild(group);
         });
+
+        body.appendChild(days);
+        this.modal.focusFirst();
     }
 
-    enhanceFormUX(form) {
-        const inputs = form.querySelectorAll('input, select');
-        
-        inputs.forEach(input => {
-            if (input) {
-                input.addEventListener('focus', () => this.onFieldFocus(input));
-                input.addEventListener('blur', () => this.onFieldBlur(input));
-            }
-        });
+    selectSlot(slot) {
+        this.selectedSlot = slot;
+        this.track('Slot Selected', { slot_id: slot.id });
+        this.renderDetails();
     }
 
-    validateField(input) {
-        if (!input) return false;
-
-        const value = input.value.trim();
-        const type = input.type;
-        let isValid = true;
-        let message = '';
-
-        // Security: Input sanitization
-        if (this.containsSuspiciousContent(value)) {
-            isValid = false;
-            message = 'Invalid characters detected';
-        } else {
-            // Field-specific validation
-            switch (type) {
-                case 'email':
-                    isValid = this.isValidEmail(value);
-                    message = isValid ? '' : 'Please enter a valid email address';
-                    break;
-                case 'text':
-                    if (input.required) {
-                        isValid = value.length > 0;
-                        message = isValid ? '' : 'This field is required';
-                    }
-                    break;
+    renderDetails() {
+        const body = this.modal.body;
+        const contactForm = document.getElementById('contact-form');
+        body.innerHTML = '';
+
+        const summary = document.createElement('p');
+        summary.className = 'scheduler__summary';
+        summary.textContent = this.formatSlot(this.selectedSlot);
+        body.appendChild(summary);
+
+        const form = document.createElement('form');
+        form.className = 'scheduler__form';
+        form.noValidate = true;
+        form.innerHTML = `
+            <div class="form__group">
+                <label for="scheduler-name" class="form__label">Full Name *</label>
+                <input type="text" id="scheduler-name" name="name" class="form__input" required autocomplete="name">
+            </div>
+            <div class="form__group">
+                <label for="scheduler-email" class="form__label">Work Email *</label>
+                <input type="email" id="scheduler-email" name="email" class="form__input" required autocomplete="email">
+            </div>
+            <div class="form__group">
+                <label for="scheduler-company" class="form__label">Company</label>
+                <input type="text" id="scheduler-company" name="company" class="form__input" autocomplete="organization">
+            </div>
+            <div class="form__hp" aria-hidden="true">
+                <label for="scheduler-website">Website</label>
+                <input type="text" id="scheduler-website" name="website" tabindex="-1" autocomplete="off">
+            </div>
+            <p class="scheduler__error" role="alert" hidden></p>
+            <div class="scheduler__actions">
+                <button type="button" class="btn btn--secondary" data-scheduler-back>Pick another time</button>
+                <button type="submit" class="btn btn--primary">Confirm booking</button>
+            </div>
+        `;
+
+        // Carry over anything the visitor already typed into the contact form
+        ['name', 'email', 'company'].forEach(name => {
+            const source = contactForm?.elements[name];
+            if (source && source.value) {
+                form.elements[name].value = source.value;
             }
-        }
+        });
 
-        if (isValid) {
-            this.clearFieldError(input);
-            this.showFieldSuccess(input);
-        } else {
-            this.showFieldError(input, message);
-        }
+        form.querySelector('[data-scheduler-back]').addEventListener('click', () => this.renderSlots());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.confirmBooking(form);
+        });
 
-        return isValid;
-    }
+        body.appendChild(form);
 
-    containsSuspiciousContent(value) {
-        // Security: Check for potential XSS patterns
-        const suspiciousPatterns = [
-            /<script[\s\S]*?>[\s\S]*?<\/script>/gi,
-            /javascript:/gi,
-            /on\w+\s*=/gi,
-            /<iframe[\s\S]*?>/gi
-        ];
+        // Security: Bookings get the same bot checks as the contact form
+        this.botGuard?.destroy();
+        this.botGuard = new BotGuard(form, window.LumomireApp?.config.botGuard);
 
-        return suspiciousPatterns.some(pattern => pattern.test(value));
+        this.modal.focusFirst();
     }
 
-    showFieldError(input, message) {
-        if (!input) return;
+    async confirmBooking(form) {
+        const fields = form.querySelectorAll('input:not([name="website"])');
+        // The rule engine is loaded with the contact section, which may not have been reached yet
+        const validator = await window.ComponentManager?.load('form-validator');
+        const { isValid } = validator
+            ? await validator.validateFields(fields)
+            : { isValid: form.reportValidity() };
+
+        if (!isValid) return;
+
+        const submitButton = form.querySelector('[type="submit"]');
+        const errorElement = form.querySelector('.scheduler__error');
+
+        const botCheck = this.botGuard.check();
+        if (!botCheck.passed) {
+            this.track('Blocked', { reason: botCheck.reason });
+            // Security: Don't reveal to bots that they were detected
+            errorElement.textContent = {
+                rate_limited: 'You\'ve sent several requests recently. Please wait a few minutes and try again.',
+                too_fast: 'That was quick! Please review your details and confirm again.'
+            }[botCheck.reason] || 'We couldn\'t book that time. Please try again or request a demo through the contact form.';
+            errorElement.hidden = false;
+            return;
+        }
 
-        this.clearFieldError(input);
-        
-        input.classList.add('field-error');
-        input.style.borderColor = '#ef4444';
-        
-        const errorElement = document.createElement('div');
-        errorElement.className = 'field-error-message';
-        errorElement.textContent = message;
-        errorElement.style.cssText = `
-            color: #ef4444;
-            font-size: 0.875rem;
-            margin-top: 0.25rem;
-            opacity: 0;
-            animation: fadeInUp 0.3s ease forwards;
-        `;
-        
-        input.parentNode.appendChild(errorElement);
-    }
+        submitButton.disabled = true;
+        submitButton.textContent = 'Booking…';
+        errorElement.hidden = true;
 
-    showFieldSuccess(input) {
-        if (!input) return;
+        try {
+            const email = form.elements.email.value.trim();
+            const verification = await this.botGuard.createToken(email);
+            const response = await fetch(this.getApiUrl() + this.bookingsEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    slot_id: this.selectedSlot.id,
+                    start: this.selectedSlot.start,
+                    end: this.selectedSlot.end,
+                    timezone: this.timezone,
+                    name: form.elements.name.value.trim(),
+                    email,
+                    company: form.elements.company.value.trim(),
+                    page_url: window.location.href,
+                    attribution: window.LumomireApp?.getAttribution() || null,
+                    experiments: window.LumomireApp?.getExperimentVariants() || {},
+                    verification
+                })
+            });
 
-        input.classList.add('field-success');
-        input.style.borderColor = '#d4af37';
-        
-        setTimeout(() => {
-            input.style.borderColor = '';
-            input.classList.remove('field-success');
-        }, 2000);
-    }
+            const data = await response.json().catch(() => ({}));
 
-    clearFieldError(input) {
-        if (!input) return;
+            if (!response.ok) {
+                // 409: someone else took the slot in the meantime
+                if (response.status === 409) {
+                    this.track('Slot Taken', { slot_id: this.selectedSlot.id });
+                    this.selectedSlot = null;
+                    this.loadSlots('Sorry, that time was just booked. Please pick another one.');
+                    return;
+                }
+                throw new Error(data.message || `Booking failed with status ${response.status}`);
+            }
 
-        input.classList.remove('field-error');
-        input.style.borderColor = '';
-        
-        const errorElement = input.parentNode.querySelector('.field-error-message');
-        if (errorElement) {
-            errorElement.remove();
+            this.botGuard.recordSubmission();
+            this.booking = {
+                id: data.id || `demo-${Date.now()}`,
+                start: data.start || this.selectedSlot.start,
+                end: data.end || this.selectedSlot.end,
+                meetingUrl: data.meeting_url || '',
+                email: form.elements.email.value.trim()
+            };
+
+            this.track('Booked', { slot_id: this.selectedSlot.id, timezone: this.timezone });
+            this.renderConfirmation();
+        } catch (error) {
+            console.warn('[DemoScheduler] Booking failed:', error);
+            errorElement.textContent = 'We couldn\'t book that time. Please try again or request a demo through the contact form.';
+            errorElement.hidden = false;
+            submitButton.disabled = false;
+            submitButton.textContent = 'Confirm booking';
         }
     }
 
-    onFieldFocus(input) {
-        if (!input) return;
+    renderConfirmation() {
+        const body = this.modal.body;
+        body.innerHTML = '';
+
+        const message = document.createElement('p');
+        message.className = 'scheduler__confirmation';
+        message.setAttribute('role', 'status');
+        message.textContent = `You're booked for ${this.formatSlot(this.booking)}. A confirmation is on its way to ${this.booking.email}.`;
+        body.appendChild(message);
 
-        input.parentNode.classList.add('field-focused');
-        input.style.borderColor = '#d4af37';
-        input.style.boxShadow = '0 0 0 3px rgba(212, 175, 55, 0.1)';
+        if (this.calendarUrl) {
+            URL.revokeObjectURL(this.calendarUrl);
+        }
+        this.calendarUrl = URL.createObjectURL(new Blob([this.createCalendarFile(this.booking)], {
+            type: 'text/calendar;charset=utf-8'
+        }));
+
+        const actions = document.createElement('div');
+        actions.className = 'scheduler__actions';
+
+        const download = document.createElement('a');
+        download.className = 'btn btn--secondary';
+        download.href = this.calendarUrl;
+        download.download = 'lumomire-demo.ics';
+        download.textContent = 'Add to calendar (.ics)';
+        download.addEventListener('click', () => this.track('Calendar Downloaded'));
+
+        const done = document.createElement('button');
+        done.type = 'button';
+        done.className = 'btn btn--primary';
+        done.textContent = 'Done';
+        done.addEventListener('click', () => this.modal.close());
+
+        actions.appendChild(download);
+        actions.appendChild(done);
+        body.appendChild(actions);
+        this.modal.focusFirst();
     }
 
-    onFieldBlur(input) {
-        if (!input) return;
+    /**
+     * Nothing to book: hand the visitor over to the contact form with "demo" pre-selected
+     */
+    renderFallback(reason) {
+        const body = this.modal.body;
+        body.innerHTML = '';
+
+        const message = document.createElement('p');
+        message.className = 'scheduler__status';
+        message.setAttribute('role', 'alert');
+        message.textContent = `${reason} Leave your details and we'll find a time with you.`;
+        body.appendChild(message);
+
+        const actions = document.createElement('div');
+        actions.className = 'scheduler__actions';
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'btn btn--secondary';
+        retry.textContent = 'Try again';
+        retry.addEventListener('click', () => this.loadSlots());
+
+        const useForm = document.createElement('button');
+        useForm.type = 'button';
+        useForm.className = 'btn btn--primary';
+        useForm.textContent = 'Request a demo';
+        useForm.addEventListener('click', () => this.requestViaForm());
+
+        actions.appendChild(retry);
+        actions.appendChild(useForm);
+        body.appendChild(actions);
+        this.modal.focusFirst();
+    }
 
-        input.parentNode.classList.remove('field-focused');
-        input.style.borderColor = '';
-        input.style.boxShadow = '';
-        
-        if (input.value.trim()) {
-            input.parentNode.classList.add('field-filled');
-        } else {
-            input.parentNode.classList.remove('field-filled');
+    requestViaForm() {
+        this.modal.close();
+
+        const interest = document.getElementById('interest');
+        if (interest) {
+            interest.value = 'demo';
+            interest.dispatchEvent(new Event('change', { bubbles: true }));
         }
+
+        document.getElementById('contact')?.scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('name')?.focus({ preventScroll: true });
     }
 
-    isValidEmail(email) {
-        // Security: Robust email validation
-        const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-        return emailRegex.test(email) && email.length <= 254;
+    /**
+     * RFC 5545 calendar file for the booked slot
+     */
+    createCalendarFile(booking) {
+        const encoder = new TextEncoder();
+        const toICSDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const escapeText = (text) => String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+        // Lines over 75 octets continue after CRLF and a space, never splitting a character
+        const foldLine = (line) => {
+            const parts = [''];
+            let octets = 0;
+            for (const char of line) {
+                const size = encoder.encode(char).length;
+                if (octets + size > (parts.length === 1 ? 75 : 74)) {
+                    parts.push('');
+                    octets = 0;
+                }
+                parts[parts.length - 1] += char;
+                octets += size;
+            }
+            return parts.join('\r\n ');
+        };
+
+        const description = booking.meetingUrl
+            ? `Your Lumomire product demo. Join here: ${booking.meetingUrl}`
+            : 'Your Lumomire product demo. We\'ll email you the meeting link.';
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Lumomire//Demo Scheduler//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${escapeText(booking.id)}@lumomire.com`,
+            `DTSTAMP:${toICSDate(Date.now())}`,
+            `DTSTART:${toICSDate(booking.start)}`,
+            `DTEND:${toICSDate(booking.end)}`,
+            'SUMMARY:Lumomire product demo',
+            `DESCRIPTION:${escapeText(description)}`,
+            booking.meetingUrl ? `URL:${booking.meetingUrl}` : null,
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].filter(Boolean);
+
+        return lines.map(foldLine).join('\r\n') + '\r\n';
     }
 }
 
 /**
- * Scroll Animator Component
- * Performance-optimized scroll animations
+ * Video Demo Component
+ * Product tour in a modal; the player and its tracks are only created on first open
  */
-class ScrollAnimatorComponent {
+class VideoDemoComponent extends Component {
     constructor() {
-        this.scrollElements = document.querySelectorAll('[data-scroll-animation]');
-        this.isAnimating = false;
-        
-        this.init();
+        super();
+        this.sources = null;
+        this.milestones = [25, 50, 75];
+        this.reachedMilestones = new Set();
+        this.hasStarted = false;
+        this.modal = null;
+        this.video = null;
+        this.chapterList = null;
     }
 
-    init() {
-        this.setupScrollObserver();
-        this.setupPerformanceOptimizations();
+    onUnmount() {
+        this.modal?.destroy();
+        this.modal = null;
+        this.video = null;
+        this.chapterList = null;
     }
 
-    setupScrollObserver() {
-        if (!('IntersectionObserver' in window)) {
-            console.warn('[ScrollAnimator] IntersectionObserver not supported');
-            return;
-        }
+    track(action, properties = {}) {
+        window.LumomireApp?.trackEvent('Video Demo', action, properties);
+    }
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting && !this.isAnimating) {
-                    this.isAnimating = true;
-                    const animation = entry.target.getAttribute('data-scroll-animation');
-                    this.animateElement(entry.target, animation);
-                    observer.unobserve(entry.target);
-                    
-                    // Reset animation lock
-                    setTimeout(() => {
-                        this.isAnimating = false;
-                    }, 600);
-                }
+    open(trigger = document.activeElement) {
+        if (!this.modal) {
+            this.modal = new ModalDialog({
+                id: 'video-demo',
+                title: 'Lumomire product tour',
+                className: 'modal--video',
+                onClose: () => this.handleClose()
             });
-        }, {
-            threshold: 0.1,
-            rootMargin: '0px 0px -100px 0px'
+        }
+
+        // Performance: Nothing is downloaded until the visitor asks for the video
+        if (!this.video) {
+            this.createPlayer();
+        }
+
+        this.modal.open(trigger);
+        this.track('Opened');
+    }
+
+    handleClose() {
+        if (!this.video) return;
+
+        if (!this.video.paused) {
+            this.video.pause();
+        }
+        this.track('Closed', { position: Math.round(this.video.currentTime) });
+    }
+
+    createPlayer() {
+        this.sources = { ...window.LumomireApp?.config.videoDemo };
+
+        // Security: Static template only; configured URLs are set as properties below
+        this.modal.body.innerHTML = `
+            <div class="video-demo__player">
+                <video class="video-demo__video" controls playsinline preload="metadata">
+                    <source type="video/mp4">
+                    <p>Your browser can't play this video. <a class="video-demo__download">Download it instead</a>.</p>
+                </video>
+            </div>
+            <nav class="video-demo__chapters" aria-label="Video chapters" hidden>
+                <h3 class="video-demo__chapters-title">Chapters</h3>
+                <ol class="video-demo__chapter-list"></ol>
+            </nav>
+            <p class="video-demo__error" role="alert" hidden>
+                The video couldn't be loaded. <button type="button" class="video-demo__fallback">Book a live demo instead</button>
+            </p>
+        `;
+
+        this.video = this.modal.body.querySelector('video');
+        this.chapterList = this.modal.body.querySelector('.video-demo__chapter-list');
+        this.video.querySelector('source').src = this.sources.video;
+        this.video.querySelector('.video-demo__download').href = this.sources.video;
+        this.addTrack('captions', this.sources.captions, 'English');
+        this.addTrack('chapters', this.sources.chapters, 'Chapters');
+
+        this.bindPlayerEvents();
+        this.loadChapters();
+    }
+
+    /**
+     * Tracks go before the fallback text; a track without a source is left out
+     */
+    addTrack(kind, src, label) {
+        if (!src) return;
+
+        const track = document.createElement('track');
+        track.kind = kind;
+        track.src = src;
+        track.srclang = 'en';
+        track.label = label;
+        track.default = kind === 'captions';
+        this.video.insertBefore(track, this.video.querySelector('p'));
+    }
+
+    bindPlayerEvents() {
+        this.video.addEventListener('play', () => {
+            if (!this.hasStarted) {
+                this.hasStarted = true;
+                this.track('Play');
+            }
         });
 
-        this.scrollElements.forEach(el => {
-            if (el) observer.observe(el);
+        this.video.addEventListener('timeupdate', () => this.checkProgress());
+
+        this.video.addEventListener('ended', () => {
+            this.track('Complete');
+            // Count a replay as a fresh view
+            this.hasStarted = false;
+            this.reachedMilestones.clear();
+        });
+
+        // Errors on <source> do not bubble to the video element
+        const source = this.video.querySelector('source');
+        source?.addEventListener('error', () => this.showError());
+        this.video.addEventListener('error', () => this.showError());
+
+        this.modal.body.querySelector('.video-demo__fallback')?.addEventListener('click', () => {
+            this.modal.close();
+            window.LumomireApp?.runAction('demo');
         });
     }
 
-    animateElement(element, animation) {
-        if (!element || !animation) return;
+    checkProgress() {
+        const { currentTime, duration } = this.video;
+        if (!duration || !isFinite(duration)) return;
 
-        // Performance: Use requestAnimationFrame
-        requestAnimationFrame(() => {
-            switch (animation) {
-                case 'fadeInUp':
-                    this.fadeInUp(element);
-                    break;
-                case 'slideInLeft':
-                    this.slideInLeft(element);
-                    break;
-                case 'scaleIn':
-                    this.scaleIn(element);
-                    break;
-                default:
-                    console.warn('[ScrollAnimator] Unknown animation:', animation);
+        const percent = (currentTime / duration) * 100;
+        this.milestones.forEach(milestone => {
+            if (percent >= milestone && !this.reachedMilestones.has(milestone)) {
+                this.reachedMilestones.add(milestone);
+                this.track('Progress', { percent: milestone });
             }
         });
     }
 
-    fadeInUp(element) {
-        element.style.cssText = `
-            opacity: 0;
-            transform: translateY(30px);
-            transition: all 0.6s cubic-bezier(0.4, 0, 0.2, 1);
-        `;
-        
-        setTimeout(() => {
-            element.style.opacity = '1';
-            element.style.transform = 'translateY(0)';
-        }, 50);
+    /**
+     * Chapter cues only load once their track is enabled; "hidden" loads them without rendering
+     */
+    loadChapters() {
+        const trackElement = this.video.querySelector('track[kind="chapters"]');
+        if (!trackElement || !trackElement.track) return;
+
+        trackElement.track.mode = 'hidden';
+        trackElement.addEventListener('load', () => this.renderChapters(trackElement.track));
+        trackElement.track.addEventListener('cuechange', () => this.highlightChapter(trackElement.track));
+
+        if (trackElement.readyState === 2 && trackElement.track.cues) {
+            this.renderChapters(trackElement.track);
+        }
     }
 
-    slideInLeft(element) {
-        element.style.cssText = `
-            opacity: 0;
-            transform: translateX(-50px);
-            transition: all 0.6s cubic-bezier(0.4, 0, 0.2, 1);
-        `;
-        
-        setTimeout(() => {
-            element.style.opacity = '1';
-            element.style.transform = 'translateX(0)';
-        }, 50);
+    renderChapters(textTrack) {
+        const cues = Array.from(textTrack.cues || []);
+        if (cues.length === 0) return;
+
+        this.chapterList.innerHTML = '';
+        cues.forEach(cue => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'video-demo__chapter';
+            button.dataset.start = String(cue.startTime);
+
+            const time = document.createElement('span');
+            time.className = 'video-demo__chapter-time';
+            time.textContent = this.formatTime(cue.startTime);
+
+            const title = document.createElement('span');
+            title.textContent = cue.text;
+
+            button.append(time, title);
+            button.addEventListener('click', () => this.seekTo(cue.startTime, cue.text));
+            item.appendChild(button);
+            this.chapterList.appendChild(item);
+        });
+
+        this.chapterList.closest('.video-demo__chapters').hidden = false;
     }
 
-    scaleIn(element) {
-        element.style.cssText = `
-            opacity: 0;
-            transform: scale(0.8);
-            transition: all 0.6s cubic-bezier(0.4, 0, 0.2, 1);
-        `;
-        
-        setTimeout(() => {
-            element.style.opacity = '1';
-            element.style.transform = 'scale(1)';
-        }, 50);
+    highlightChapter(textTrack) {
+        const active = textTrack.activeCues?.[0];
+        this.chapterList.querySelectorAll('.video-demo__chapter').forEach(button => {
+            const isActive = !!active && Number(button.dataset.start) === active.startTime;
+            button.classList.toggle('video-demo__chapter--active', isActive);
+            if (isActive) {
+                button.setAttribute('aria-current', 'true');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
     }
 
-    setupPerformanceOptimizations() {
-        // Performance: Reduce animations on low-end devices
-        if (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 2) {
-            console.log('[ScrollAnimator] Reducing animations for low-end device');
-            document.documentElement.style.setProperty('--animation-duration', '150ms');
-        }
+    seekTo(seconds, chapter) {
+        this.video.currentTime = seconds;
+        this.video.play().catch(() => {});
+        this.track('Chapter Selected', { chapter });
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    }
+
+    showError() {
+        const error = this.modal?.body.querySelector('.video-demo__error');
+        if (!error || !error.hidden) return;
+
+        console.warn('[VideoDemo] Failed to load video:', this.sources.video);
+        error.hidden = false;
+        this.track('Load Failed');
     }
 }
 
@@ -877,19 +1547,19 @@ class ScrollAnimatorComponent {
  * Performance Monitor Component
  * Memory and performance tracking
  */
-class PerformanceMonitorComponent {
+class PerformanceMonitorComponent extends Component {
     constructor() {
+        super();
         this.metrics = {
             componentLoadTime: 0,
             memoryUsage: 0,
             animationFrames: 0,
-            errorCount: 0
+            errorCount: 0,
+            componentLoads: {}
         };
-        
-        this.init();
     }
 
-    init() {
+    onMount() {
         this.measureComponentLoadTime();
         this.monitorMemoryUsage();
         this.setupErrorTracking();
@@ -910,7 +1580,7 @@ class PerformanceMonitorComponent {
     monitorMemoryUsage() {
         if (!('memory' in performance)) return;
         
-        setInterval(() => {
+        this.setInterval(() => {
             const memory = performance.memory;
             this.metrics.memoryUsage = memory.usedJSHeapSize / 1024 / 1024; // MB
             
@@ -920,13 +1590,30 @@ class PerformanceMonitorComponent {
         }, 30000);
     }
 
+    /**
+     * Import and mount timings of lazily loaded components, reported by ComponentManager
+     */
+    recordComponentLoad(name, { importTime, mountTime }) {
+        const totalTime = importTime + mountTime;
+
+        this.metrics.componentLoads[name] = {
+            importTime: Math.round(importTime),
+            mountTime: Math.round(mountTime),
+            loadedAt: Math.round(performance.now())
+        };
+
+        if (totalTime > 100) {
+            console.warn(`[PerformanceMonitor] ${name} took ${totalTime.toFixed(2)}ms to load`);
+        }
+    }
+
     setupErrorTracking() {
-        window.addEventListener('error', (event) => {
+        this.listen(window, 'error', (event) => {
             this.metrics.errorCount++;
             console.error('[PerformanceMonitor] JavaScript error:', event.error);
         });
 
-        window.addEventListener('unhandledrejection', (event) => {
+        this.listen(window, 'unhandledrejection', (event) => {
             this.metrics.errorCount++;
             console.error('[PerformanceMonitor] Unhandled promise rejection:', event.reason);
         });
@@ -935,6 +1622,7 @@ class PerformanceMonitorComponent {
     getMetrics() {
         return {
             ...this.metrics,
+            componentLoads: { ...this.metrics.componentLoads },
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent,
             viewport: `${window.innerWidth}x${window.innerHeight}`
@@ -953,14 +1641,16 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // Export for potential external use
+// Section components are ES modules under ./components/ and import Component from here
 window.LumomireComponents = {
+    Component,
     ComponentManager,
-    PricingCardComponent,
-    DashboardPreviewComponent,
-    FeatureCardComponent,
-    FormValidatorComponent,
     ScrollAnimatorComponent,
-    PerformanceMonitorComponent
+    PerformanceMonitorComponent,
+    ConsentBannerComponent,
+    ModalDialog,
+    DemoSchedulerComponent,
+    VideoDemoComponent
 };
 
 // Performance monitoring on load
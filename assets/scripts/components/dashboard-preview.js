@@ -0,0 +1,227 @@
+// assets/scripts/components/dashboard-preview.js
+
+const { Component } = window.LumomireComponents;
+
+/**
+ * Dashboard Preview Component
+ * Secure dashboard cycling with memory management
+ */
+export default class DashboardPreviewComponent extends Component {
+    constructor() {
+        super();
+        this.store = window.LumomireStore;
+        this.isAutoPlaying = false;
+        this.autoPlayInterval = null;
+        this.lastInteractionTime = Date.now();
+    }
+
+    onMount() {
+        this.container = this.query('#dashboard-preview');
+        this.toggles = this.queryAll('.dashboard-toggle');
+        this.slides = this.queryAll('.dashboard-slide');
+        this.dashboards = Array.from(this.toggles, toggle => toggle.getAttribute('data-dashboard'));
+        this.currentIndex = Math.max(0, this.dashboards.indexOf(this.store.get('currentDashboard')));
+
+        if (!this.container) {
+            console.warn('[DashboardPreview] Container not found');
+            return;
+        }
+        
+        this.renderInitial();
+        this.bindEvents();
+        this.startAutoPlay();
+        this.setupMetricAnimation();
+    }
+
+    /**
+     * Sole owner of the slides: clicks and autoplay both go through the store
+     */
+    bindEvents() {
+        this.addCleanup(this.store.subscribe('currentDashboard', ({ currentDashboard }) => {
+            this.showSlide(this.dashboards.indexOf(currentDashboard));
+        }));
+
+        this.toggles.forEach((toggle, index) => {
+            if (toggle) {
+                this.listen(toggle, 'click', (e) => {
+                    e.preventDefault();
+                    this.switchTo(index);
+                    window.LumomireApp?.trackEvent('Dashboard', 'Toggle', { type: this.dashboards[index] });
+                    this.pauseAutoPlay();
+                    this.lastInteractionTime = Date.now();
+                    
+                    // Resume autoplay after user interaction
+                    this.setTimeout(() => this.resumeAutoPlay(), 5000);
+                });
+            }
+        });
+
+        // Performance: Use passive listeners for scroll events
+        this.listen(this.container, 'mouseenter', () => this.pauseAutoPlay(), { passive: true });
+        this.listen(this.container, 'mouseleave', () => this.resumeAutoPlay(), { passive: true });
+    }
+
+    onUnmount() {
+        this.pauseAutoPlay();
+    }
+
+    renderInitial() {
+        this.slides.forEach((slide, index) => {
+            slide.classList.toggle('active', index === this.currentIndex);
+        });
+        this.updateToggles(this.currentIndex);
+    }
+
+    switchTo(index) {
+        // Security: Validate index bounds
+        if (index < 0 || index >= this.slides.length) {
+            console.warn('[DashboardPreview] Invalid slide index:', index);
+            return;
+        }
+
+        this.store.setState({ currentDashboard: this.dashboards[index] });
+    }
+
+    showSlide(index) {
+        if (index < 0 || index === this.currentIndex) return;
+
+        const currentSlide = this.slides[this.currentIndex];
+        const nextSlide = this.slides[index];
+        
+        // Performance: Use transform instead of changing multiple properties
+        if (currentSlide) {
+            currentSlide.style.transform = 'translateX(-100%)';
+            currentSlide.style.opacity = '0';
+            this.setTimeout(() => {
+                currentSlide.classList.remove('active');
+            }, 150);
+        }
+
+        if (nextSlide) {
+            nextSlide.classList.add('active');
+            nextSlide.style.transform = 'translateX(100%)';
+            nextSlide.style.opacity = '0';
+            
+            // Performance: Use requestAnimationFrame for smooth animation
+            requestAnimationFrame(() => {
+                nextSlide.style.transform = 'translateX(0)';
+                nextSlide.style.opacity = '1';
+            });
+        }
+
+        this.updateToggles(index);
+        this.currentIndex = index;
+        this.animateMetrics(nextSlide);
+    }
+
+    updateToggles(activeIndex) {
+        this.toggles.forEach((toggle, index) => {
+            if (toggle) {
+                const isActive = index === activeIndex;
+                toggle.classList.toggle('active', isActive);
+                
+                // Performance: Batch style updates
+                if (isActive) {
+                    toggle.style.background = '#d4af37';
+                    toggle.style.color = 'white';
+                } else {
+                    toggle.style.background = '';
+                    toggle.style.color = '';
+                }
+            }
+        });
+    }
+
+    animateMetrics(slide) {
+        if (!slide) return;
+
+        const metrics = slide.querySelectorAll('.metric-card');
+        
+        // Performance: Use requestAnimationFrame for smooth animations
+        requestAnimationFrame(() => {
+            metrics.forEach((metric, index) => {
+                if (metric) {
+                    this.setTimeout(() => {
+                        metric.style.transform = 'scale(1.02)';
+                        metric.style.borderColor = '#d4af37';
+                        
+                        this.setTimeout(() => {
+                            metric.style.transform = '';
+                            metric.style.borderColor = '';
+                        }, 200);
+                    }, index * 100);
+                }
+            });
+        });
+    }
+
+    startAutoPlay() {
+        if (this.isAutoPlaying || this.autoPlayInterval) return;
+        
+        this.isAutoPlaying = true;
+        this.autoPlayInterval = this.setInterval(() => {
+            // Security: Check if tab is visible to prevent unnecessary work
+            if (document.hidden) return;
+            
+            // Performance: Check if user recently interacted
+            if (Date.now() - this.lastInteractionTime < 10000) return; // 10 seconds
+            
+            const nextIndex = (this.currentIndex + 1) % this.slides.length;
+            this.switchTo(nextIndex);
+        }, 4000);
+    }
+
+    pauseAutoPlay() {
+        this.isAutoPlaying = false;
+        if (this.autoPlayInterval) {
+            this.clearInterval(this.autoPlayInterval);
+            this.autoPlayInterval = null;
+        }
+    }
+
+    resumeAutoPlay() {
+        // Only resume if user hasn't interacted recently
+        if (Date.now() - this.lastInteractionTime > 5000) {
+            this.startAutoPlay();
+        }
+    }
+
+    setupMetricAnimation() {
+        // Performance: Only animate when visible
+        const observer = this.observe(new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.animateMetricValues();
+                }
+            });
+        }, { threshold: 0.5 }));
+
+        if (this.container) {
+            observer.observe(this.container);
+        }
+    }
+
+    animateMetricValues() {
+        if (document.hidden) return;
+
+        const activeSlide = this.query('.dashboard-slide.active');
+        if (!activeSlide) return;
+
+        const metricValues = activeSlide.querySelectorAll('.metric-value');
+        
+        // Performance: Batch DOM updates
+        requestAnimationFrame(() => {
+            metricValues.forEach(value => {
+                if (value) {
+                    value.style.color = '#f1c40f';
+                    value.style.transform = 'scale(1.05)';
+                    
+                    this.setTimeout(() => {
+                        value.style.color = '';
+                        value.style.transform = '';
+                    }, 300);
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,87 @@
+// assets/scripts/components/feature-card.js
+
+const { Component } = window.LumomireComponents;
+
+/**
+ * Feature Card Component
+ * Memory-optimized feature card animations
+ */
+export default class FeatureCardComponent extends Component {
+    onMount() {
+        this.cards = this.queryAll('.feature');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.cards.forEach(card => {
+            if (card) {
+                this.listen(card, 'mouseenter', () => this.onCardEnter(card), { passive: true });
+                this.listen(card, 'mouseleave', () => this.onCardLeave(card), { passive: true });
+            }
+        });
+    }
+
+    onCardEnter(card) {
+        if (!card) return;
+
+        // Performance: Use transform for better performance
+        const icon = card.querySelector('.feature__icon');
+        const title = card.querySelector('.feature__title');
+        
+        if (icon) {
+            icon.style.transform = 'scale(1.1) rotate(5deg)';
+            icon.style.background = 'linear-gradient(135deg, #1a365d 0%, #d4af37 100%)';
+        }
+
+        if (title) {
+            title.style.color = '#1a365d';
+        }
+
+        this.animateListItems(card);
+    }
+
+    onCardLeave(card) {
+        if (!card) return;
+
+        const icon = card.querySelector('.feature__icon');
+        const title = card.querySelector('.feature__title');
+        
+        if (icon) {
+            icon.style.transform = '';
+            icon.style.background = '';
+        }
+
+        if (title) {
+            title.style.color = '';
+        }
+
+        this.resetListItems(card);
+    }
+
+    animateListItems(card) {
+        const listItems = card.querySelectorAll('.feature__list li');
+        
+        // Performance: Use requestAnimationFrame
+        requestAnimationFrame(() => {
+            listItems.forEach((item, index) => {
+                if (item) {
+                    this.setTimeout(() => {
+                        item.style.transform = 'translateX(10px)';
+                        item.style.color = '#374151';
+                    }, index * 30);
+                }
+            });
+        });
+    }
+
+    resetListItems(card) {
+        const listItems = card.querySelectorAll('.feature__list li');
+        
+        listItems.forEach(item => {
+            if (item) {
+                item.style.transform = '';
+                item.style.color = '';
+            }
+        });
+    }
+}
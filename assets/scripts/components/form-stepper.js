@@ -0,0 +1,160 @@
+// assets/scripts/components/form-stepper.js
+
+const { Component } = window.LumomireComponents;
+
+/**
+ * Form Stepper Component
+ * Splits a [data-stepper] form into fieldset steps and enables the
+ * .form__branch matching the selected interest
+ */
+export default class FormStepperComponent extends Component {
+    constructor(validator) {
+        super();
+        this.validator = validator;
+        this.currentStep = 1;
+    }
+
+    onMount() {
+        this.form = this.query('form[data-stepper]');
+        this.steps = this.form ? Array.from(this.form.querySelectorAll('.form__step')) : [];
+        this.branches = this.form ? this.form.querySelectorAll('.form__branch') : [];
+        this.interest = this.form?.querySelector('[name="interest"]');
+        this.backButton = this.form?.querySelector('[data-step-back]');
+        this.nextButton = this.form?.querySelector('[data-step-next]');
+        this.submitButton = this.form?.querySelector('[type="submit"]');
+        this.progressLabel = this.form?.querySelector('.form__progress-label');
+        this.progressBar = this.form?.querySelector('.form__progress-bar');
+        this.progressFill = this.form?.querySelector('.form__progress-fill');
+
+        if (!this.form || this.steps.length === 0) return;
+
+        this.populateTimezones();
+        this.bindEvents();
+        this.goTo(1, { focus: false });
+    }
+
+    bindEvents() {
+        this.listen(this.nextButton, 'click', () => this.next());
+        this.listen(this.backButton, 'click', () => this.back());
+        this.listen(this.interest, 'change', () => this.applyBranch());
+
+        // Enter on an early step advances instead of submitting; capture runs before the app's handler
+        this.listen(this.form, 'submit', (e) => {
+            if (this.currentStep < this.steps.length) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.next();
+            }
+        }, { capture: true });
+
+        // Reveal the step holding a field that failed whole-form validation
+        this.listen(this.form, 'validator:invalid', (e) => {
+            const step = this.getStepOf(e.target);
+            if (step && step !== this.currentStep) {
+                this.goTo(step, { focus: false });
+            }
+        });
+
+        this.listen(this.form, 'reset', () => {
+            // Field values are reset after the event, so re-sync on the next tick
+            this.setTimeout(() => {
+                this.applyBranch();
+                this.goTo(1, { focus: false });
+            }, 0);
+        });
+    }
+
+    async next() {
+        const fields = this.steps[this.currentStep - 1].querySelectorAll('input, select, textarea');
+        const { isValid } = this.validator
+            ? await this.validator.validateFields(fields)
+            : { isValid: true };
+
+        if (isValid) {
+            this.goTo(this.currentStep + 1);
+        }
+    }
+
+    back() {
+        this.goTo(this.currentStep - 1);
+    }
+
+    goTo(step, { focus = true } = {}) {
+        const target = Math.min(Math.max(step, 1), this.steps.length);
+        const isLast = target === this.steps.length;
+
+        // Interest may have been set programmatically (e.g. by a CTA), so re-check branches
+        this.applyBranch();
+
+        this.steps.forEach((fieldset, index) => {
+            fieldset.hidden = index + 1 !== target;
+        });
+
+        if (this.backButton) this.backButton.hidden = target === 1;
+        if (this.nextButton) this.nextButton.hidden = isLast;
+        if (this.submitButton) this.submitButton.hidden = !isLast;
+
+        this.currentStep = target;
+        this.updateProgress();
+        this.form.dispatchEvent(new CustomEvent('stepper:change', { detail: { step: target } }));
+
+        if (focus) {
+            this.steps[target - 1].querySelector('input:not([disabled]), select:not([disabled])')?.focus();
+        }
+    }
+
+    updateProgress() {
+        const total = this.steps.length;
+        const title = this.steps[this.currentStep - 1].getAttribute('data-step-title') || '';
+
+        if (this.progressLabel) {
+            this.progressLabel.textContent = `Step ${this.currentStep} of ${total}${title ? `: ${title}` : ''}`;
+        }
+        if (this.progressBar) {
+            this.progressBar.setAttribute('aria-valuenow', String(this.currentStep));
+            this.progressBar.setAttribute('aria-valuemax', String(total));
+        }
+        if (this.progressFill) {
+            this.progressFill.style.width = `${(this.currentStep / total) * 100}%`;
+        }
+    }
+
+    /**
+     * Enable only the branch for the current interest so other branches stay out of FormData
+     */
+    applyBranch() {
+        const interest = this.interest?.value || '';
+
+        this.branches.forEach(branch => {
+            const isActive = branch.getAttribute('data-interest') === interest;
+            branch.disabled = !isActive;
+            branch.hidden = !isActive;
+        });
+    }
+
+    getStepOf(field) {
+        const index = this.steps.findIndex(step => step.contains(field));
+        return index === -1 ? null : index + 1;
+    }
+
+    populateTimezones() {
+        const select = this.form.querySelector('#timezone');
+        // Already filled when the stepper is mounted again
+        if (!select || select.options.length > 0) return;
+
+        const detected = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        const zones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : [detected];
+
+        const fragment = document.createDocumentFragment();
+        (zones.includes(detected) ? zones : [detected, ...zones]).forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = zone.replace(/_/g, ' ');
+            option.defaultSelected = zone === detected;
+            fragment.appendChild(option);
+        });
+        select.appendChild(fragment);
+    }
+}
@@ -0,0 +1,555 @@
+// assets/scripts/components/form-validator.js
+
+const { Component } = window.LumomireComponents;
+
+// Email domain lists used by the business-email policy
+const FREE_EMAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com',
+    'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+    'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com',
+    'gmx.com', 'gmx.de', 'web.de', 'mail.com', 'yandex.com', 'yandex.ru',
+    'zoho.com', 'qq.com', '163.com', 'fastmail.com', 'tutanota.com', 'hey.com'
+];
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+    'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com',
+    '10minutemail.com', 'tempmail.com', 'temp-mail.org', 'yopmail.com',
+    'trashmail.com', 'getnada.com', 'dispostable.com', 'throwawaymail.com',
+    'maildrop.cc', 'fakeinbox.com', 'mintemail.com', 'mohmal.com',
+    'emailondeck.com', 'spamgourmet.com', 'mailnesia.com', 'burnermail.io'
+];
+
+// Frequent misspellings, checked before the edit-distance fallback
+const EMAIL_DOMAIN_TYPOS = {
+    'gmial.com': 'gmail.com',
+    'gmai.com': 'gmail.com',
+    'gamil.com': 'gmail.com',
+    'gnail.com': 'gmail.com',
+    'gmal.com': 'gmail.com',
+    'gmaill.com': 'gmail.com',
+    'gmail.co': 'gmail.com',
+    'hotmial.com': 'hotmail.com',
+    'hotmal.com': 'hotmail.com',
+    'hotmai.com': 'hotmail.com',
+    'yaho.com': 'yahoo.com',
+    'yahooo.com': 'yahoo.com',
+    'yhoo.com': 'yahoo.com',
+    'outlok.com': 'outlook.com',
+    'outloo.com': 'outlook.com',
+    'iclod.com': 'icloud.com',
+    'icoud.com': 'icloud.com'
+};
+
+const EMAIL_SUGGESTION_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com',
+    'outlook.com', 'icloud.com', 'protonmail.com'
+];
+
+const EMAIL_TLD_TYPOS = {
+    con: 'com',
+    cmo: 'com',
+    ocm: 'com',
+    vom: 'com',
+    xom: 'com',
+    comm: 'com',
+    nte: 'net',
+    ogr: 'org'
+};
+
+/**
+ * Form Validator Component
+ * Declarative rule engine: fields list their rules in data-validate, e.g.
+ *   data-validate="required|minLength:2|oneOf:demo,trial"
+ * Regular expressions go in data-validate-pattern since they may contain "|".
+ * Rules may return a Promise, so custom async checks can be added with registerRule().
+ */
+export default class FormValidatorComponent extends Component {
+    constructor() {
+        super();
+        this.validationRules = new Map();
+        this.pendingValidations = new WeakMap();
+        this.registerDefaultRules();
+    }
+
+    onMount() {
+        this.forms = this.queryAll('form');
+        this.initializeForms();
+    }
+
+    registerDefaultRules() {
+        this.registerRule('required',
+            (value) => value.length > 0,
+            () => 'This field is required');
+
+        this.registerRule('email',
+            (value) => {
+                if (!this.isValidEmail(value)) return false;
+
+                // Likely typos are flagged but never block submission
+                const { suggestion } = this.analyzeEmail(value);
+                return suggestion
+                    ? { valid: true, warning: `Did you mean ${suggestion}?`, suggestion }
+                    : true;
+            },
+            () => 'Please enter a valid email address');
+
+        this.registerRule('minLength',
+            (value, arg) => value.length >= Number(arg),
+            (arg) => `Please enter at least ${arg} characters`);
+
+        this.registerRule('maxLength',
+            (value, arg) => value.length <= Number(arg),
+            (arg) => `Please enter no more than ${arg} characters`);
+
+        this.registerRule('pattern',
+            (value, arg, input) => {
+                const source = arg || input.getAttribute('data-validate-pattern');
+                if (!source) return true;
+                try {
+                    return new RegExp(`^(?:${source})$`).test(value);
+                } catch (error) {
+                    console.warn('[FormValidator] Invalid pattern:', source);
+                    return true;
+                }
+            },
+            () => 'Please match the requested format');
+
+        this.registerRule('oneOf',
+            (value, arg) => (arg || '').split(',').map(option => option.trim()).includes(value),
+            () => 'Please choose one of the available options');
+
+        this.registerRule('business-email',
+            (value, arg, input) => {
+                const policy = arg || this.getEmailPolicy(input);
+                const { isFreeMail, isDisposable, suggestion } = this.analyzeEmail(value);
+
+                if (isDisposable) {
+                    return { valid: false, message: 'Disposable email addresses are not accepted' };
+                }
+                if (!this.isValidEmail(value, policy)) {
+                    return { valid: false, message: 'Please use your work email address' };
+                }
+
+                // A typo warning from the email rule takes priority over the soft nudge
+                return isFreeMail && !suggestion
+                    ? { valid: true, warning: 'Looks like a personal address \u2014 use your work email?' }
+                    : true;
+            },
+            () => 'Please use your work email address');
+    }
+
+    /**
+     * Add or replace a rule. validate(value, arg, input) returns (or resolves to) a boolean,
+     * or { valid, message, warning, suggestion } when it needs to say more than pass/fail.
+     * Warnings are shown next to the field but never block submission.
+     */
+    registerRule(name, validate, message) {
+        if (typeof name !== 'string' || !name.trim() || typeof validate !== 'function') {
+            console.warn('[FormValidator] Invalid rule definition:', name);
+            return;
+        }
+
+        this.validationRules.set(name, {
+            validate,
+            message: typeof message === 'function' ? message : () => message || 'Invalid value'
+        });
+    }
+
+    /**
+     * Rules declared on a field, including those implied by required and type="email"
+     */
+    getFieldRules(input) {
+        const rules = [];
+
+        if (input.required) {
+            rules.push({ name: 'required', arg: null });
+        }
+        if (input.type === 'email') {
+            rules.push({ name: 'email', arg: null });
+        }
+
+        const declared = input.getAttribute('data-validate') || '';
+        declared.split('|').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+            const separator = rule.indexOf(':');
+            const name = separator === -1 ? rule : rule.slice(0, separator);
+            const arg = separator === -1 ? null : rule.slice(separator + 1);
+
+            if (!rules.some(existing => existing.name === name)) {
+                rules.push({ name, arg });
+            }
+        });
+
+        return rules;
+    }
+
+    initializeForms() {
+        this.forms.forEach(form => {
+            if (form) {
+                this.setupFormValidation(form);
+                this.enhanceFormUX(form);
+            }
+        });
+    }
+
+    setupFormValidation(form) {
+        const inputs = form.querySelectorAll('input, select, textarea');
+        
+        inputs.forEach(input => {
+            if (input) {
+                this.listen(input, 'blur', () => this.validateField(input));
+                this.listen(input, 'input', () => this.clearFieldError(input));
+            }
+        });
+
+        // Email policies depend on the chosen interest, so re-check when it changes
+        const interest = form.querySelector('[name="interest"]');
+        if (interest) {
+            this.listen(interest, 'change', () => {
+                form.querySelectorAll('[data-email-policy]').forEach(input => {
+                    if (input.value.trim()) {
+                        this.validateField(input);
+                    }
+                });
+            });
+        }
+    }
+
+    enhanceFormUX(form) {
+        const inputs = form.querySelectorAll('input, select');
+        
+        inputs.forEach(input => {
+            if (input) {
+                this.listen(input, 'focus', () => this.onFieldFocus(input));
+                this.listen(input, 'blur', () => this.onFieldBlur(input));
+            }
+        });
+    }
+
+    /**
+     * Run a field's rules in order, resolving to { message, warning, suggestion }
+     * where message is the first failure ('' when valid)
+     */
+    async runRules(input) {
+        const value = (input.value || '').trim();
+        const result = { message: '', warning: '', suggestion: '' };
+
+        // Security: Input sanitization
+        if (this.containsSuspiciousContent(value)) {
+            result.message = 'Invalid characters detected';
+            return result;
+        }
+
+        for (const { name, arg } of this.getFieldRules(input)) {
+            const rule = this.validationRules.get(name);
+            if (!rule) {
+                console.warn('[FormValidator] Unknown rule:', name);
+                continue;
+            }
+
+            // Optional fields are only checked once they have a value
+            if (name !== 'required' && value.length === 0) continue;
+
+            let outcome;
+            try {
+                outcome = await rule.validate(value, arg, input);
+            } catch (error) {
+                console.error(`[FormValidator] Rule "${name}" failed:`, error);
+                outcome = true;
+            }
+
+            const { valid, message, warning, suggestion } = typeof outcome === 'object' && outcome !== null
+                ? outcome
+                : { valid: !!outcome };
+
+            if (!valid) {
+                result.message = input.getAttribute(`data-validate-message-${name.toLowerCase()}`) ||
+                    input.getAttribute('data-validate-message') ||
+                    message ||
+                    rule.message(arg, input);
+                return result;
+            }
+
+            if (warning && !result.warning) {
+                result.warning = warning;
+                result.suggestion = suggestion || '';
+            }
+        }
+
+        return result;
+    }
+
+    async validateField(input) {
+        const { isValid } = await this.evaluateField(input);
+        return isValid;
+    }
+
+    /**
+     * Validate a field and update its error state, resolving to { isValid, message }
+     */
+    async evaluateField(input) {
+        // :disabled also covers fields inside a disabled fieldset
+        if (!input || input.matches(':disabled')) return { isValid: true, message: '' };
+
+        // Async rules can resolve out of order; only the latest run may update the UI
+        const token = (this.pendingValidations.get(input) || 0) + 1;
+        this.pendingValidations.set(input, token);
+
+        const { message, warning, suggestion } = await this.runRules(input);
+        const isValid = message === '';
+
+        if (this.pendingValidations.get(input) !== token) {
+            return { isValid, message };
+        }
+
+        if (isValid) {
+            this.clearFieldError(input);
+            if (warning) {
+                this.showFieldWarning(input, warning, suggestion);
+            } else if (input.value.trim() && !['checkbox', 'radio'].includes(input.type)) {
+                this.showFieldSuccess(input);
+            }
+        } else {
+            this.showFieldError(input, message);
+        }
+
+        return { isValid, message };
+    }
+
+    /**
+     * Validate every enabled field of a form, focusing the first invalid one
+     */
+    async validateForm(form) {
+        if (!form) return { isValid: false, errors: [] };
+        return this.validateFields(form.querySelectorAll('input, select, textarea'));
+    }
+
+    /**
+     * Validate a set of fields (e.g. one step of a multi-step form).
+     * Before focusing the first invalid field a "validator:invalid" event is dispatched
+     * on it, so containers that hide fields can reveal it first.
+     */
+    async validateFields(fields) {
+        const inputs = Array.from(fields)
+            .filter(input => input && !input.matches(':disabled') && input.type !== 'hidden');
+        const results = await Promise.all(inputs.map(input => this.evaluateField(input)));
+
+        const errors = [];
+        results.forEach(({ isValid, message }, index) => {
+            if (!isValid) {
+                errors.push({ field: inputs[index].name || inputs[index].id, message, input: inputs[index] });
+            }
+        });
+
+        if (errors.length > 0) {
+            const firstInvalid = errors[0].input;
+            firstInvalid.dispatchEvent(new CustomEvent('validator:invalid', { bubbles: true }));
+            firstInvalid.focus();
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    containsSuspiciousContent(value) {
+        // Security: Check for potential XSS patterns
+        const suspiciousPatterns = [
+            /<script[\s\S]*?>[\s\S]*?<\/script>/gi,
+            /javascript:/gi,
+            /on\w+\s*=/gi,
+            /<iframe[\s\S]*?>/gi
+        ];
+
+        return suspiciousPatterns.some(pattern => pattern.test(value));
+    }
+
+    showFieldError(input, message) {
+        if (!input) return;
+
+        this.clearFieldError(input);
+        
+        input.classList.add('field-error');
+        input.style.borderColor = '#ef4444';
+        
+        const errorElement = document.createElement('div');
+        errorElement.className = 'field-error-message';
+        errorElement.textContent = message;
+        errorElement.style.cssText = `
+            color: #ef4444;
+            font-size: 0.875rem;
+            margin-top: 0.25rem;
+            opacity: 0;
+            animation: fadeInUp 0.3s ease forwards;
+        `;
+        
+        input.parentNode.appendChild(errorElement);
+    }
+
+    showFieldSuccess(input) {
+        if (!input) return;
+
+        input.classList.add('field-success');
+        input.style.borderColor = '#d4af37';
+        
+        this.setTimeout(() => {
+            input.style.borderColor = '';
+            input.classList.remove('field-success');
+        }, 2000);
+    }
+
+    showFieldWarning(input, message, suggestion = '') {
+        if (!input) return;
+
+        this.clearFieldError(input);
+
+        const warningElement = document.createElement('div');
+        warningElement.className = 'field-warning-message';
+        warningElement.textContent = message;
+        warningElement.style.cssText = `
+            color: #b45309;
+            font-size: 0.875rem;
+            margin-top: 0.25rem;
+            opacity: 0;
+            animation: fadeInUp 0.3s ease forwards;
+        `;
+
+        // Offer a one-click fix for a suspected typo
+        if (suggestion) {
+            const [localPart] = input.value.trim().split('@');
+            const fixButton = document.createElement('button');
+            fixButton.type = 'button';
+            fixButton.className = 'field-warning-message__fix';
+            fixButton.textContent = `Use ${localPart}@${suggestion}`;
+            fixButton.style.cssText = `
+                margin-left: 0.5rem;
+                background: none;
+                border: none;
+                padding: 0;
+                color: inherit;
+                font: inherit;
+                font-weight: 600;
+                text-decoration: underline;
+                cursor: pointer;
+            `;
+            fixButton.addEventListener('click', () => {
+                input.value = `${localPart}@${suggestion}`;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                this.validateField(input);
+            });
+            warningElement.appendChild(fixButton);
+        }
+
+        input.parentNode.appendChild(warningElement);
+    }
+
+    clearFieldError(input) {
+        if (!input) return;
+
+        input.classList.remove('field-error');
+        input.style.borderColor = '';
+        
+        input.parentNode.querySelectorAll('.field-error-message, .field-warning-message').forEach(element => {
+            element.remove();
+        });
+    }
+
+    onFieldFocus(input) {
+        if (!input) return;
+
+        input.parentNode.classList.add('field-focused');
+        input.style.borderColor = '#d4af37';
+        input.style.boxShadow = '0 0 0 3px rgba(212, 175, 55, 0.1)';
+    }
+
+    onFieldBlur(input) {
+        if (!input) return;
+
+        input.parentNode.classList.remove('field-focused');
+        input.style.borderColor = '';
+        input.style.boxShadow = '';
+        
+        if (input.value.trim()) {
+            input.parentNode.classList.add('field-filled');
+        } else {
+            input.parentNode.classList.remove('field-filled');
+        }
+    }
+
+    /**
+     * Syntax check, optionally applying a business-email policy:
+     * 'soft' rejects disposable domains, 'hard' also rejects free mailbox providers
+     */
+    isValidEmail(email, policy = null) {
+        // Security: Robust email validation (a dotted domain is required)
+        const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+$/;
+        if (!emailRegex.test(email) || email.length > 254) return false;
+        if (!policy) return true;
+
+        const { isFreeMail, isDisposable } = this.analyzeEmail(email);
+        if (isDisposable) return false;
+        return policy !== 'hard' || !isFreeMail;
+    }
+
+    analyzeEmail(email) {
+        const domain = (email.split('@')[1] || '').toLowerCase();
+
+        return {
+            domain,
+            isFreeMail: FREE_EMAIL_DOMAINS.includes(domain),
+            isDisposable: DISPOSABLE_EMAIL_DOMAINS.includes(domain),
+            suggestion: this.getEmailDomainSuggestion(domain)
+        };
+    }
+
+    getEmailDomainSuggestion(domain) {
+        if (!domain || FREE_EMAIL_DOMAINS.includes(domain) || DISPOSABLE_EMAIL_DOMAINS.includes(domain)) {
+            return '';
+        }
+
+        if (EMAIL_DOMAIN_TYPOS[domain]) {
+            return EMAIL_DOMAIN_TYPOS[domain];
+        }
+
+        const parts = domain.split('.');
+        const tld = parts.pop();
+        if (EMAIL_TLD_TYPOS[tld]) {
+            return [...parts, EMAIL_TLD_TYPOS[tld]].join('.');
+        }
+
+        // One edit away from a major provider is almost certainly a slip
+        return EMAIL_SUGGESTION_DOMAINS.find(known => this.getEditDistance(domain, known) === 1) || '';
+    }
+
+    getEditDistance(a, b) {
+        if (Math.abs(a.length - b.length) > 1) return Infinity;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Business-email policy for a field, keyed on the form's interest value:
+     *   data-email-policy="default:soft,enterprise:hard"
+     */
+    getEmailPolicy(input) {
+        const policies = {};
+        (input.getAttribute('data-email-policy') || 'default:soft').split(',').forEach(entry => {
+            const [interest, policy] = entry.split(':').map(part => part.trim());
+            if (interest && policy) {
+                policies[interest] = policy;
+            }
+        });
+
+        const interest = input.form?.querySelector('[name="interest"]')?.value;
+        return policies[interest] || policies.default || 'soft';
+    }
+}
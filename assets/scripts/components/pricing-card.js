@@ -0,0 +1,205 @@
+// assets/scripts/components/pricing-card.js
+
+const { Component } = window.LumomireComponents;
+
+/**
+ * Pricing Card Component
+ * Handles pricing interactions with security validation
+ */
+export default class PricingCardComponent extends Component {
+    constructor() {
+        super();
+        this.store = window.LumomireStore;
+    }
+
+    onMount() {
+        this.cards = this.queryAll('.pricing-card');
+        this.amounts = this.queryAll('.pricing-card__amount');
+        this.savingsLines = this.queryAll('.pricing-card__savings');
+        this.savingsBadge = this.query('.pricing__toggle-save');
+        
+        this.bindEvents();
+
+        // pricing.js renders monthly prices; billing may have changed before this section loaded
+        if (this.store.get('isAnnualPricing')) {
+            this.animatePriceChange(true);
+        }
+    }
+
+    bindEvents() {
+        // Sole owner of the rendered prices; the app only writes billing and currency to the store
+        this.addCleanup(this.store.subscribe(['isAnnualPricing', 'currency'], ({ isAnnualPricing }) => {
+            this.animatePriceChange(isAnnualPricing);
+        }));
+
+        this.cards.forEach(card => {
+            if (card) {
+                this.listen(card, 'mouseenter', () => this.onCardHover(card));
+                this.listen(card, 'mouseleave', () => this.onCardLeave(card));
+            }
+        });
+
+        // Button interactions with security validation
+        this.cards.forEach(card => {
+            const button = card.querySelector('.btn');
+            if (button) {
+                this.listen(button, 'click', () => this.onButtonClick(card, button));
+            }
+        });
+    }
+
+    animatePriceChange(isAnnual) {
+        if (!this.amounts || this.amounts.length === 0) return;
+
+        this.amounts.forEach((amount, index) => {
+            if (!amount) return;
+
+            // Performance: Stagger animations to prevent blocking
+            this.setTimeout(() => {
+                this.animateSinglePrice(amount, isAnnual);
+            }, index * 50); // Reduced delay for better performance
+        });
+
+        this.savingsLines.forEach(savings => this.animateSavings(savings, isAnnual));
+        this.animateSavingsBadge();
+
+        // CRITICAL: NEVER CHANGE THE PERIOD TEXT - IT STAYS "/month" ALWAYS
+    }
+
+    animateSinglePrice(amount, isAnnual) {
+        const pricing = window.LumomirePricing;
+        const planId = amount.closest('[data-plan-card]')?.getAttribute('data-plan-card');
+        const price = pricing ? pricing.getPrice(planId, isAnnual ? 'annual' : 'monthly') : null;
+        
+        if (price === null) {
+            console.warn('[PricingCard] No price defined for plan:', planId);
+            return;
+        }
+
+        // Performance optimized animation
+        amount.style.transform = 'scale(1.05)';
+        amount.style.transition = 'transform 0.15s ease';
+        
+        this.setTimeout(() => {
+            pricing.renderPrice(amount, planId, isAnnual ? 'annual' : 'monthly');
+            amount.style.transform = 'scale(1)';
+        }, 75);
+    }
+
+    animateSavings(savings, isAnnual) {
+        const pricing = window.LumomirePricing;
+        const planId = savings.closest('[data-plan-card]')?.getAttribute('data-plan-card');
+        if (!pricing) return;
+
+        savings.style.transform = 'scale(1.05)';
+        savings.style.transition = 'transform 0.15s ease';
+
+        this.setTimeout(() => {
+            pricing.renderSavings(savings, planId, isAnnual ? 'annual' : 'monthly');
+            savings.style.transform = 'scale(1)';
+        }, 75);
+    }
+
+    /**
+     * The largest discount can differ between currencies
+     */
+    animateSavingsBadge() {
+        const pricing = window.LumomirePricing;
+        const badge = this.savingsBadge;
+        if (!pricing || !badge) return;
+
+        badge.style.transform = 'scale(1.05)';
+        badge.style.transition = 'transform 0.15s ease';
+
+        this.setTimeout(() => {
+            pricing.renderSavingsBadge(badge);
+            badge.style.transform = 'scale(1)';
+        }, 75);
+    }
+
+    onCardHover(card) {
+        if (!card) return;
+
+        // Performance: Use CSS transforms instead of changing multiple properties
+        card.style.transform = 'translateY(-4px)';
+        card.style.boxShadow = '0 20px 40px rgba(212, 175, 55, 0.15)';
+        card.style.borderColor = '#d4af37';
+        
+        this.animateCardFeatures(card);
+    }
+
+    onCardLeave(card) {
+        if (!card) return;
+
+        // Reset card styles
+        card.style.transform = '';
+        card.style.boxShadow = '';
+        card.style.borderColor = '';
+        
+        this.resetCardFeatures(card);
+    }
+
+    animateCardFeatures(card) {
+        const features = card.querySelectorAll('.features-list__item');
+        const checkIcons = card.querySelectorAll('.check-icon');
+        
+        // Performance: Batch DOM updates
+        requestAnimationFrame(() => {
+            features.forEach((feature, index) => {
+                if (feature) {
+                    this.setTimeout(() => {
+                        feature.style.transform = 'translateX(8px)';
+                    }, index * 30);
+                }
+            });
+
+            checkIcons.forEach((icon, index) => {
+                if (icon) {
+                    this.setTimeout(() => {
+                        icon.style.color = '#f1c40f';
+                        icon.style.transform = 'scale(1.1)';
+                    }, index * 20);
+                }
+            });
+        });
+    }
+
+    resetCardFeatures(card) {
+        const features = card.querySelectorAll('.features-list__item');
+        const checkIcons = card.querySelectorAll('.check-icon');
+        
+        features.forEach(feature => {
+            if (feature) {
+                feature.style.transform = '';
+            }
+        });
+
+        checkIcons.forEach(icon => {
+            if (icon) {
+                icon.style.color = '';
+                icon.style.transform = '';
+            }
+        });
+    }
+
+    onButtonClick(card, button) {
+        if (!card || !button) return;
+
+        // Security: Prevent multiple rapid clicks
+        if (button.disabled) return;
+        
+        button.disabled = true;
+        
+        // Animation with performance optimization
+        button.style.transform = 'scale(0.95)';
+        this.setTimeout(() => {
+            button.style.transform = '';
+            button.disabled = false;
+        }, 150);
+
+        card.classList.add('animate-scale-in');
+        this.setTimeout(() => {
+            card.classList.remove('animate-scale-in');
+        }, 300);
+    }
+}
@@ -0,0 +1,214 @@
+// assets/scripts/components/roi-calculator.js
+
+const { Component } = window.LumomireComponents;
+
+/**
+ * ROI Calculator Component
+ * Missed-renewal cost estimate with a plan recommendation and a handoff into the contact form
+ */
+export default class RoiCalculatorComponent extends Component {
+    constructor() {
+        super();
+        this.assumptions = {
+            // Share of unreviewed auto-renewal spend that could have been cut or renegotiated
+            avoidableShare: 0.15,
+            // Share of manual tracking time Lumomire automates
+            automatedShare: 0.7,
+            // Value of an hour of finance/ops time, per currency
+            hourlyRates: { USD: 60, EUR: 55, GBP: 48, CAD: 80, AUD: 90 },
+            // Above this many contracts, recommend Enterprise over Professional
+            enterpriseContracts: 2000
+        };
+        this.trackTimer = null;
+    }
+
+    onMount() {
+        this.calculator = this.query('[data-roi-calculator]');
+        this.inputs = this.calculator ? this.calculator.querySelectorAll('.roi__range') : [];
+        this.reportButton = this.calculator?.querySelector('[data-roi-report]');
+        // The report is handed to the contact form, which lives outside the calculator
+        this.contactForm = document.getElementById('contact-form');
+        this.reportField = this.contactForm?.querySelector('[name="roi_report"]');
+        this.reportNote = this.contactForm?.querySelector('[data-roi-note]');
+
+        if (!this.calculator) return;
+
+        this.bindEvents();
+        this.update();
+    }
+
+    bindEvents() {
+        this.inputs.forEach(input => {
+            this.listen(input, 'input', () => {
+                this.update();
+
+                // Performance: One event per adjustment, not per slider step
+                this.clearTimeout(this.trackTimer);
+                this.trackTimer = this.setTimeout(() => this.track('Calculated', this.getSummary()), 1000);
+            });
+        });
+
+        this.listen(this.reportButton, 'click', () => this.sendReport());
+        this.addCleanup(window.LumomireStore.subscribe('currency', () => this.update()));
+
+        this.listen(this.contactForm, 'reset', () => {
+            // Hidden inputs keep their value across a form reset
+            if (this.reportField) {
+                this.reportField.value = '';
+            }
+            if (this.reportNote) {
+                this.reportNote.hidden = true;
+            }
+        });
+    }
+
+    track(action, properties = {}) {
+        window.LumomireApp?.trackEvent('ROI Calculator', action, properties);
+    }
+
+    getValues() {
+        const values = {};
+        this.inputs.forEach(input => {
+            const number = Number(input.value);
+            const min = Number(input.min);
+            const max = Number(input.max);
+            values[input.name] = Math.min(Math.max(isNaN(number) ? min : number, min), max);
+        });
+        return values;
+    }
+
+    /**
+     * Smallest paid plan whose contract and seat limits both fit, Enterprise for very
+     * large portfolios; null limits mean unlimited
+     */
+    getRecommendedPlan(contracts, teamSize) {
+        const pricing = window.LumomirePricing;
+        if (!pricing) return null;
+
+        if (contracts > this.assumptions.enterpriseContracts) {
+            return pricing.getPlan('enterprise');
+        }
+
+        return pricing.getPlans().find(plan =>
+            plan.prices[pricing.currency]?.monthly > 0 &&
+            (plan.contractLimit === null || plan.contractLimit >= contracts) &&
+            (plan.seats === null || plan.seats >= teamSize)
+        ) || null;
+    }
+
+    calculate() {
+        const pricing = window.LumomirePricing;
+        const currency = pricing?.currency || 'USD';
+        const { contracts, teamSize, contractValue, autoRenewRate, hoursPerMonth } = this.getValues();
+        const hourlyRate = this.assumptions.hourlyRates[currency] || this.assumptions.hourlyRates.USD;
+
+        const avoidableSpend = contracts * contractValue * (autoRenewRate / 100) * this.assumptions.avoidableShare;
+        const hoursSaved = hoursPerMonth * 12 * this.assumptions.automatedShare;
+        const plan = this.getRecommendedPlan(contracts, teamSize);
+        const planCost = plan && pricing ? pricing.getPrice(plan.id, 'annual') * 12 : 0;
+        const benefit = avoidableSpend + hoursSaved * hourlyRate;
+
+        return {
+            currency,
+            hourlyRate,
+            avoidableSpend: Math.round(avoidableSpend),
+            hoursSaved: Math.round(hoursSaved),
+            plan,
+            planCost,
+            roi: planCost > 0 ? Math.round((benefit - planCost) / planCost * 100) : null
+        };
+    }
+
+    formatTeamSize(teamSize) {
+        const max = Number(this.calculator.querySelector('[name="teamSize"]')?.max);
+        return teamSize >= max ? `${max - 1}+` : String(teamSize);
+    }
+
+    formatMoney(amount) {
+        const pricing = window.LumomirePricing;
+        return pricing ? pricing.formatPrice(amount) : `$${amount.toLocaleString()}`;
+    }
+
+    update() {
+        const values = this.getValues();
+        const result = this.calculate();
+        const displays = {
+            contracts: values.contracts.toLocaleString(),
+            teamSize: this.formatTeamSize(values.teamSize),
+            contractValue: this.formatMoney(values.contractValue),
+            autoRenewRate: `${values.autoRenewRate}%`,
+            hoursPerMonth: `${values.hoursPerMonth} h`
+        };
+
+        Object.entries(displays).forEach(([name, text]) => {
+            const output = this.calculator.querySelector(`[data-roi-display="${name}"]`);
+            if (output) output.textContent = text;
+        });
+
+        const results = {
+            avoidable: this.formatMoney(result.avoidableSpend),
+            hours: `${result.hoursSaved.toLocaleString()} h`,
+            roi: result.roi === null ? '–' : `${result.roi.toLocaleString()}%`,
+            plan: result.plan ? result.plan.name : '–'
+        };
+
+        Object.entries(results).forEach(([name, text]) => {
+            const element = this.calculator.querySelector(`[data-roi-result="${name}"]`);
+            if (element) element.textContent = text;
+        });
+
+        const planCost = this.calculator.querySelector('[data-roi-result="plan-cost"]');
+        if (planCost) {
+            planCost.textContent = result.plan
+                ? `${this.formatMoney(result.planCost)} per year, billed annually`
+                : '';
+        }
+
+        const assumptions = this.calculator.querySelector('[data-roi-assumptions]');
+        if (assumptions) {
+            assumptions.textContent =
+                `Estimate assumes ${Math.round(this.assumptions.avoidableShare * 100)}% of auto-renewed spend could be cut or renegotiated ` +
+                `and ${Math.round(this.assumptions.automatedShare * 100)}% of tracking time is automated, valued at ${this.formatMoney(result.hourlyRate)}/hour.`;
+        }
+    }
+
+    getSummary() {
+        const values = this.getValues();
+        const result = this.calculate();
+
+        return {
+            ...values,
+            currency: result.currency,
+            avoidable_spend: result.avoidableSpend,
+            hours_saved: result.hoursSaved,
+            recommended_plan: result.plan?.id || null,
+            roi_percent: result.roi
+        };
+    }
+
+    /**
+     * Attach the estimate to the contact form and take the visitor there
+     */
+    sendReport() {
+        const summary = this.getSummary();
+        this.track('Report Requested', summary);
+
+        if (!this.contactForm) return;
+
+        if (this.reportField) {
+            this.reportField.value = JSON.stringify(summary);
+        }
+        if (this.reportNote) {
+            this.reportNote.hidden = false;
+        }
+
+        const interest = this.contactForm.querySelector('[name="interest"]');
+        if (interest && !interest.value) {
+            interest.value = 'pricing';
+            interest.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        document.getElementById('contact')?.scrollIntoView({ behavior: 'smooth' });
+        this.contactForm.querySelector('[name="name"]')?.focus({ preventScroll: true });
+    }
+}
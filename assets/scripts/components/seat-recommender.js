@@ -0,0 +1,130 @@
+// assets/scripts/components/seat-recommender.js
+
+const { Component } = window.LumomireComponents;
+
+/**
+ * Seat Recommender Component
+ * Team size slider that highlights the smallest paid plan with enough seats and
+ * carries the team size into the contact form when a plan CTA is clicked
+ */
+export default class SeatRecommenderComponent extends Component {
+    constructor() {
+        super();
+        // Mirrors the contact form's team-size options
+        this.teamSizes = [
+            { value: '1-5', max: 5 },
+            { value: '6-25', max: 25 },
+            { value: '26-100', max: 100 },
+            { value: '100+', max: Infinity }
+        ];
+        this.hasSelection = false;
+        this.trackTimer = null;
+    }
+
+    onMount() {
+        this.recommender = this.query('[data-seat-recommender]');
+        this.slider = this.recommender?.querySelector('input[type="range"]');
+        this.display = this.recommender?.querySelector('[data-seat-display]');
+        this.hint = this.recommender?.querySelector('[data-seat-hint]');
+        this.grid = this.query('[data-pricing-grid]');
+        this.teamSizeSelect = document.getElementById('team-size');
+
+        if (!this.recommender || !this.slider) return;
+
+        this.bindEvents();
+        this.updateDisplay();
+    }
+
+    bindEvents() {
+        this.listen(this.slider, 'input', () => {
+            this.hasSelection = true;
+            this.update();
+
+            // Performance: One event per adjustment, not per slider step
+            this.clearTimeout(this.trackTimer);
+            this.trackTimer = this.setTimeout(() => {
+                window.LumomireApp?.trackEvent('Pricing', 'Team Size', {
+                    team_size: this.getTeamSize(),
+                    recommended_plan: this.getRecommendedPlan()?.id || null
+                });
+            }, 1000);
+        });
+
+        // Capture: runs before the app's CTA handlers scroll to and prefill the form
+        this.listen(this.grid, 'click', (e) => {
+            if (e.target.closest('[data-action], .pricing-card__purchase-link')) {
+                this.prefillTeamSize();
+            }
+        }, { capture: true });
+    }
+
+    getSeats() {
+        return Number(this.slider.value);
+    }
+
+    /**
+     * The slider's last step stands for "more than 100"
+     */
+    isOverMax() {
+        return this.getSeats() >= Number(this.slider.max);
+    }
+
+    getTeamSize() {
+        const seats = this.getSeats();
+        return this.teamSizes.find(size => seats <= size.max).value;
+    }
+
+    /**
+     * Smallest paid plan with enough seats; null seats means unlimited. The free
+     * trial is never the recommendation, even for a team of one.
+     */
+    getRecommendedPlan() {
+        const pricing = window.LumomirePricing;
+        const plans = pricing?.getPlans() || [];
+        const seats = this.getSeats();
+        return plans.find(plan =>
+            pricing.getPrice(plan.id) > 0 &&
+            (plan.seats === null || plan.seats >= seats)
+        ) || null;
+    }
+
+    updateDisplay() {
+        const seats = this.getSeats();
+        const label = this.isOverMax() ? `${seats - 1}+` : String(seats);
+
+        if (this.display) {
+            this.display.textContent = label;
+        }
+        this.slider.setAttribute('aria-valuetext', this.isOverMax()
+            ? `More than ${seats - 1} people`
+            : `${seats} ${seats === 1 ? 'person' : 'people'}`);
+    }
+
+    update() {
+        const seats = this.getSeats();
+        const recommended = this.getRecommendedPlan();
+
+        this.updateDisplay();
+
+        this.grid?.querySelectorAll('[data-plan-card]').forEach(card => {
+            const plan = window.LumomirePricing?.getPlan(card.getAttribute('data-plan-card'));
+            const fits = !plan || plan.seats === null || plan.seats >= seats;
+
+            card.classList.toggle('pricing-card--recommended', plan === recommended);
+            card.classList.toggle('pricing-card--dimmed', !fits);
+        });
+
+        if (this.hint) {
+            this.hint.textContent = recommended
+                ? `${recommended.name} fits a team of ${this.display?.textContent || seats}.`
+                : '';
+        }
+    }
+
+    prefillTeamSize() {
+        if (!this.hasSelection || !this.teamSizeSelect) return;
+
+        this.teamSizeSelect.value = this.getTeamSize();
+        this.teamSizeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+}
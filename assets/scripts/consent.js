@@ -0,0 +1,84 @@
+// assets/scripts/consent.js
+
+/**
+ * Lumomire Consent Preferences
+ * Single source of truth for cookie/analytics consent, shared by the app and components
+ */
+
+class ConsentPreferences {
+    constructor() {
+        this.storageKey = 'lumomire-consent';
+        this.version = 1;
+        this.categories = ['necessary', 'analytics', 'marketing'];
+        this.eventName = 'lumomire:consent-change';
+    }
+
+    /**
+     * Stored choice, or null if the visitor has not decided yet
+     */
+    getStoredChoice() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored && stored.version === this.version ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Do Not Track and Global Privacy Control both count as an opt-out
+     */
+    hasPrivacySignal() {
+        return navigator.globalPrivacyControl === true ||
+            navigator.doNotTrack === '1' ||
+            window.doNotTrack === '1';
+    }
+
+    hasDecided() {
+        return this.getStoredChoice() !== null || this.hasPrivacySignal();
+    }
+
+    get() {
+        const stored = this.getStoredChoice();
+
+        return {
+            necessary: true,
+            analytics: stored ? stored.analytics === true : false,
+            marketing: stored ? stored.marketing === true : false
+        };
+    }
+
+    has(category) {
+        if (!this.categories.includes(category)) {
+            console.warn('[Consent] Unknown consent category:', category);
+            return false;
+        }
+        return this.get()[category];
+    }
+
+    save(choices) {
+        const choice = {
+            version: this.version,
+            analytics: choices.analytics === true,
+            marketing: choices.marketing === true,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(choice));
+        } catch (error) {
+            console.warn('[Consent] Failed to persist consent:', error);
+        }
+
+        window.dispatchEvent(new CustomEvent(this.eventName, { detail: this.get() }));
+        return this.get();
+    }
+
+    onChange(callback) {
+        const handler = (e) => callback(e.detail);
+        window.addEventListener(this.eventName, handler);
+        return () => window.removeEventListener(this.eventName, handler);
+    }
+}
+
+window.LumomireConsent = new ConsentPreferences();
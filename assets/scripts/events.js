@@ -0,0 +1,92 @@
+// assets/scripts/events.js
+
+/**
+ * Lumomire Events
+ * Event bus behind the public plugin API on window.Lumomire:
+ *
+ *   Lumomire.on('pricing:toggle', ({ billing }) => { ... });   // returns an unsubscribe function
+ *   Lumomire.off('pricing:toggle', handler);
+ *   Lumomire.emit('my-plugin:ready', { ... });
+ *
+ * Sticky events are replayed to handlers added after they fired, so a plugin
+ * loaded late still hears app:ready.
+ *
+ * Events emitted by the site:
+ *   app:ready          {}   sticky
+ *   component:mount    { name, component }
+ *   component:unmount  { name, component }
+ *   cta:click          { action, plan, element }
+ *   form:submit        { interest, plan, queued }   never the visitor's contact details
+ *   pricing:toggle     { billing, isAnnual }
+ *   dashboard:switch   { dashboard, previous }
+ *   consent:change     { consent }
+ */
+
+class EventBus {
+    constructor() {
+        this.handlers = new Map();
+        this.sticky = new Map();
+    }
+
+    on(event, handler) {
+        if (typeof event !== 'string' || typeof handler !== 'function') {
+            console.warn('[Events] on() expects an event name and a function');
+            return () => {};
+        }
+
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, new Set());
+        }
+        this.handlers.get(event).add(handler);
+
+        if (this.sticky.has(event)) {
+            const detail = this.sticky.get(event);
+            // Asynchronous like a live emit would be for the caller, and still skippable with off()
+            queueMicrotask(() => {
+                if (this.handlers.get(event)?.has(handler)) {
+                    this.call(event, handler, detail);
+                }
+            });
+        }
+
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (!handlers) return;
+
+        handlers.delete(handler);
+        if (handlers.size === 0) {
+            this.handlers.delete(event);
+        }
+    }
+
+    /**
+     * Handlers run synchronously in subscription order; one failing doesn't stop the rest
+     */
+    emit(event, detail = {}, { sticky = false } = {}) {
+        if (sticky) {
+            this.sticky.set(event, detail);
+        }
+
+        const handlers = this.handlers.get(event);
+        if (!handlers) return;
+
+        Array.from(handlers).forEach(handler => this.call(event, handler, detail));
+    }
+
+    hasFired(event) {
+        return this.sticky.has(event);
+    }
+
+    call(event, handler, detail) {
+        try {
+            handler(detail);
+        } catch (error) {
+            console.error(`[Events] Handler for "${event}" failed:`, error);
+        }
+    }
+}
+
+window.LumomireEvents = new EventBus();
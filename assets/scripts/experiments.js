@@ -0,0 +1,277 @@
+// assets/scripts/experiments.js
+
+/**
+ * Lumomire Experiments
+ * Deterministic A/B assignment and DOM variations for the landing page.
+ * Loaded synchronously in <head>, after consent.js and the #lumomire-experiments JSON
+ * definitions, so targeted elements stay hidden until their variation has been applied.
+ */
+
+class ExperimentRunner {
+    constructor(options = {}) {
+        this.options = {
+            configId: 'lumomire-experiments',
+            storageKey: 'lumomire-visitor-id',
+            pendingClass: 'lumomire-experiments-pending',
+            // QA: ?xp=hero-headline:cost-focus,pricing-order:control
+            forceParam: 'xp',
+            antiFlickerTimeout: 1500,
+            ...options
+        };
+
+        this.visitorId = this.getVisitorId();
+        this.syncVisitorId();
+        window.LumomireConsent?.onChange(() => this.syncVisitorId());
+        this.experiments = this.readDefinitions();
+        this.assignments = this.assignAll();
+        this.isApplied = false;
+        this.revealTimer = null;
+
+        this.hideTargets();
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.apply());
+        } else {
+            this.apply();
+        }
+    }
+
+    /**
+     * Random ID that never leaves the browser, only the variants do. It lasts for the
+     * session, and is remembered across visits only with analytics consent.
+     */
+    getVisitorId() {
+        const { storageKey } = this.options;
+
+        try {
+            const remembered = this.canRememberVisitor() ? localStorage.getItem(storageKey) : null;
+            const id = remembered || sessionStorage.getItem(storageKey) || this.createId();
+            sessionStorage.setItem(storageKey, id);
+            return id;
+        } catch (error) {
+            // Without storage the visitor is bucketed for this page view only
+            return this.createId();
+        }
+    }
+
+    canRememberVisitor() {
+        return window.LumomireConsent?.has('analytics') === true;
+    }
+
+    /**
+     * Granting consent keeps this session's variants; withdrawing it forgets the ID
+     */
+    syncVisitorId() {
+        try {
+            if (this.canRememberVisitor()) {
+                localStorage.setItem(this.options.storageKey, this.visitorId);
+            } else {
+                localStorage.removeItem(this.options.storageKey);
+            }
+        } catch (error) {
+            // Storage unavailable: nothing was remembered
+        }
+    }
+
+    createId() {
+        if (window.crypto?.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    readDefinitions() {
+        const element = document.getElementById(this.options.configId);
+        if (!element) return [];
+
+        try {
+            const { experiments } = JSON.parse(element.textContent);
+            return (Array.isArray(experiments) ? experiments : []).filter(experiment =>
+                experiment &&
+                typeof experiment.id === 'string' &&
+                Array.isArray(experiment.variants) &&
+                experiment.variants.length > 0
+            );
+        } catch (error) {
+            console.warn('[Experiments] Invalid experiment definitions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * FNV-1a, mapped to a bucket in [0, 100)
+     */
+    getBucket(seed) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return ((hash >>> 0) % 10000) / 100;
+    }
+
+    getForcedVariants() {
+        const forced = {};
+        const value = new URLSearchParams(window.location.search).get(this.options.forceParam);
+
+        (value || '').split(',').forEach(pair => {
+            const [experimentId, variantId] = pair.split(':');
+            if (experimentId && variantId) {
+                forced[experimentId] = variantId;
+            }
+        });
+
+        return forced;
+    }
+
+    assignAll() {
+        const forced = this.getForcedVariants();
+        const assignments = new Map();
+
+        this.experiments.forEach(experiment => {
+            // Forcing also previews experiments that are not running yet
+            let variant = null;
+            if (forced[experiment.id]) {
+                variant = experiment.variants.find(candidate => candidate.id === forced[experiment.id]);
+            } else if (experiment.status === 'running') {
+                variant = this.assign(experiment);
+            }
+
+            if (variant) {
+                assignments.set(experiment.id, { experiment, variant });
+            }
+        });
+
+        return assignments;
+    }
+
+    /**
+     * Same visitor, same variant; traffic and variant buckets use different seeds
+     * so the first variant does not soak up the included share
+     */
+    assign(experiment) {
+        const traffic = typeof experiment.traffic === 'number' ? experiment.traffic : 100;
+        if (this.getBucket(`traffic:${experiment.id}:${this.visitorId}`) >= traffic) {
+            return null;
+        }
+
+        const totalWeight = experiment.variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0);
+        const bucket = this.getBucket(`${experiment.id}:${this.visitorId}`) / 100 * totalWeight;
+
+        let cumulative = 0;
+        return experiment.variants.find(variant => {
+            cumulative += variant.weight ?? 1;
+            return bucket < cumulative;
+        }) || experiment.variants[experiment.variants.length - 1];
+    }
+
+    /**
+     * Anti-flicker: only elements a variation touches are hidden, and never for long
+     */
+    hideTargets() {
+        const selectors = [];
+        this.assignments.forEach(({ variant }) => {
+            (variant.changes || []).forEach(change => {
+                if (change && typeof change.selector === 'string') {
+                    selectors.push(`.${this.options.pendingClass} ${change.selector}`);
+                }
+            });
+        });
+
+        if (selectors.length === 0) return;
+
+        const style = document.createElement('style');
+        style.id = `${this.options.configId}-pending`;
+        style.textContent = `${selectors.join(',\n')} { visibility: hidden !important; }`;
+        document.head.appendChild(style);
+        document.documentElement.classList.add(this.options.pendingClass);
+
+        this.revealTimer = setTimeout(() => this.reveal(), this.options.antiFlickerTimeout);
+    }
+
+    reveal() {
+        clearTimeout(this.revealTimer);
+        document.documentElement.classList.remove(this.options.pendingClass);
+    }
+
+    apply() {
+        if (this.isApplied) return;
+        this.isApplied = true;
+
+        this.assignments.forEach(({ experiment, variant }) => {
+            (variant.changes || []).forEach(change => {
+                try {
+                    this.applyChange(change);
+                } catch (error) {
+                    console.warn(`[Experiments] Failed to apply ${experiment.id}/${variant.id}:`, error);
+                }
+            });
+        });
+
+        this.reveal();
+    }
+
+    /**
+     * Supported changes: text, attributes (null removes) and order, which moves the
+     * listed children to the end of the container in the given order
+     */
+    applyChange(change) {
+        const elements = document.querySelectorAll(change.selector);
+        if (elements.length === 0) {
+            console.warn('[Experiments] No element matches selector:', change.selector);
+            return;
+        }
+
+        elements.forEach(element => {
+            if (typeof change.text === 'string') {
+                element.textContent = change.text;
+            }
+
+            if (change.attributes && typeof change.attributes === 'object') {
+                Object.entries(change.attributes).forEach(([name, value]) => {
+                    // Security: Never let a definition add inline event handlers
+                    if (/^on/i.test(name)) return;
+
+                    if (value === null) {
+                        element.removeAttribute(name);
+                    } else {
+                        element.setAttribute(name, String(value));
+                    }
+                });
+            }
+
+            if (Array.isArray(change.order)) {
+                change.order.forEach(childSelector => {
+                    const child = Array.from(element.children).find(candidate => candidate.matches(childSelector));
+                    if (child) {
+                        element.appendChild(child);
+                    }
+                });
+            }
+        });
+    }
+
+    getVariant(experimentId) {
+        return this.assignments.get(experimentId)?.variant.id || null;
+    }
+
+    /**
+     * Assigned variants keyed by experiment, attached to events and leads
+     */
+    getVariantMap() {
+        const map = {};
+        this.assignments.forEach(({ variant }, experimentId) => {
+            map[experimentId] = variant.id;
+        });
+        return map;
+    }
+
+    getAssignments() {
+        return Array.from(this.assignments, ([experimentId, { variant }]) => ({
+            experiment_id: experimentId,
+            variant_id: variant.id
+        }));
+    }
+}
+
+window.LumomireExperiments = new ExperimentRunner();
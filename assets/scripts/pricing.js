@@ -0,0 +1,498 @@
+// assets/scripts/pricing.js
+
+/**
+ * Lumomire Pricing
+ * Single definition of plans and prices. The pricing cards, the billing toggle
+ * and the JSON-LD offers are all generated from it, so a price changes in one place.
+ * index.html ships a USD rendering of the cards and JSON-LD for visitors and crawlers
+ * without JavaScript, written by `node tools/render-pricing.js`; `--check` fails when
+ * it no longer matches these plans.
+ */
+
+// Hand-set local price points per currency; no live FX conversion
+const PRICING_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+const EUROZONE_REGIONS = [
+    'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE',
+    'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'
+];
+
+const REGION_CURRENCIES = {
+    US: 'USD',
+    GB: 'GBP',
+    CA: 'CAD',
+    AU: 'AUD',
+    ...Object.fromEntries(EUROZONE_REGIONS.map(region => [region, 'EUR']))
+};
+
+const PRICING_PLANS = [
+    {
+        id: 'trial',
+        name: 'Trial',
+        description: 'Perfect for getting started',
+        badge: '14 Days Trial',
+        modifier: 'trial',
+        seats: 1,
+        seatsLabel: '1 user only',
+        contractLimit: 5,
+        // Per month and currency; the annual price is the monthly equivalent when billed yearly
+        prices: {
+            USD: { monthly: 0, annual: 0 },
+            EUR: { monthly: 0, annual: 0 },
+            GBP: { monthly: 0, annual: 0 },
+            CAD: { monthly: 0, annual: 0 },
+            AUD: { monthly: 0, annual: 0 }
+        },
+        features: [
+            '5 Contracts max',
+            '1GB Storage',
+            'Basic AI processing',
+            'Email alerts only',
+            'Community support'
+        ],
+        cta: { label: 'Start Your Trial', action: 'signup', variant: 'secondary' }
+    },
+    {
+        id: 'startup',
+        name: 'Startup',
+        description: 'Perfect for small teams',
+        badge: null,
+        modifier: null,
+        seats: 5,
+        seatsLabel: 'Up to 5 team members',
+        contractLimit: 500,
+        prices: {
+            USD: { monthly: 99, annual: 79 },
+            EUR: { monthly: 95, annual: 76 },
+            GBP: { monthly: 85, annual: 68 },
+            CAD: { monthly: 135, annual: 108 },
+            AUD: { monthly: 149, annual: 119 }
+        },
+        features: [
+            '10GB Storage',
+            '500 Contracts',
+            'Private AI processing',
+            'Email Alerts',
+            'Customer Service'
+        ],
+        cta: { label: 'Start Your Trial', action: 'signup-plan', variant: 'secondary' }
+    },
+    {
+        id: 'professional',
+        name: 'Professional',
+        description: 'Advanced features with CFO dashboard',
+        badge: 'Most Popular',
+        modifier: 'featured',
+        seats: 25,
+        seatsLabel: 'Up to 25 team members',
+        // Unlimited
+        contractLimit: null,
+        prices: {
+            USD: { monthly: 249, annual: 200 },
+            EUR: { monthly: 239, annual: 192 },
+            GBP: { monthly: 209, annual: 168 },
+            CAD: { monthly: 339, annual: 272 },
+            AUD: { monthly: 379, annual: 304 }
+        },
+        features: [
+            'Everything in Startup',
+            'Unlimited Contracts',
+            '100GB storage',
+            'Advanced AI features',
+            'Email & Calendar alerts',
+            'Priority support'
+        ],
+        cta: { label: 'Start Your Trial', action: 'signup-plan', variant: 'primary' }
+    },
+    {
+        id: 'enterprise',
+        name: 'Enterprise',
+        description: 'Custom solutions for large organizations',
+        badge: null,
+        modifier: null,
+        // Unlimited
+        seats: null,
+        seatsLabel: 'Unlimited members',
+        contractLimit: null,
+        prices: {
+            USD: { monthly: 599, annual: 479 },
+            EUR: { monthly: 569, annual: 455 },
+            GBP: { monthly: 499, annual: 399 },
+            CAD: { monthly: 819, annual: 655 },
+            AUD: { monthly: 899, annual: 719 }
+        },
+        features: [
+            'Everything in Pro',
+            'Custom AI model',
+            '200GB Storage',
+            'Dedicated support',
+            'SLA guarantees',
+            'SAML + SSO'
+        ],
+        cta: { label: 'Start Your Trial', action: 'contact-sales', variant: 'secondary' }
+    }
+];
+
+class PricingModel {
+    constructor(plans = PRICING_PLANS, options = {}) {
+        this.plans = plans;
+        this.options = {
+            currencies: PRICING_CURRENCIES,
+            defaultCurrency: 'USD',
+            storageKey: 'lumomire-currency',
+            eventName: 'lumomire:currency-change',
+            gridSelector: '[data-pricing-grid]',
+            currencySelector: '[data-currency-select]',
+            savingsBadgeSelector: '.pricing__toggle-save',
+            ...options
+        };
+
+        this.locale = navigator.language || 'en-US';
+        this.currency = this.detectCurrency();
+        this.formatters = new Map();
+    }
+
+    /**
+     * Stored choice first, then the region of the visitor's preferred languages
+     */
+    detectCurrency() {
+        const stored = this.getStoredCurrency();
+        if (stored) return stored;
+
+        const locales = navigator.languages && navigator.languages.length > 0
+            ? navigator.languages
+            : [navigator.language];
+
+        for (const locale of locales) {
+            const currency = REGION_CURRENCIES[this.getRegion(locale)];
+            if (currency && this.options.currencies.includes(currency)) {
+                return currency;
+            }
+        }
+
+        return this.options.defaultCurrency;
+    }
+
+    getRegion(locale) {
+        if (!locale) return null;
+
+        try {
+            // "de" alone maximizes to "de-Latn-DE"
+            return new Intl.Locale(locale).maximize().region || null;
+        } catch (error) {
+            return locale.split('-')[1]?.toUpperCase() || null;
+        }
+    }
+
+    getStoredCurrency() {
+        try {
+            const stored = localStorage.getItem(this.options.storageKey);
+            return this.options.currencies.includes(stored) ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setCurrency(currency) {
+        if (!this.options.currencies.includes(currency)) {
+            console.warn('[Pricing] Unsupported currency:', currency);
+            return false;
+        }
+
+        this.currency = currency;
+
+        try {
+            localStorage.setItem(this.options.storageKey, currency);
+        } catch (error) {
+            console.warn('[Pricing] Failed to persist currency:', error);
+        }
+
+        window.dispatchEvent(new CustomEvent(this.options.eventName, { detail: { currency } }));
+        return true;
+    }
+
+    onCurrencyChange(callback) {
+        const handler = (e) => callback(e.detail.currency);
+        window.addEventListener(this.options.eventName, handler);
+        return () => window.removeEventListener(this.options.eventName, handler);
+    }
+
+    getPlans() {
+        return this.plans;
+    }
+
+    getPlan(planId) {
+        return this.plans.find(plan => plan.id === planId) || null;
+    }
+
+    /**
+     * Monthly price for the billing cycle, or null for an unknown plan or currency
+     */
+    getPrice(planId, billing = 'monthly', currency = this.currency) {
+        const prices = this.getPlan(planId)?.prices[currency];
+        if (!prices) return null;
+        return billing === 'annual' ? prices.annual : prices.monthly;
+    }
+
+    getFormatter(currency, fractionDigits) {
+        const key = `${currency}:${fractionDigits}`;
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl.NumberFormat(this.locale, {
+                style: 'currency',
+                currency,
+                minimumFractionDigits: fractionDigits,
+                maximumFractionDigits: fractionDigits
+            }));
+        }
+        return this.formatters.get(key);
+    }
+
+    formatPrice(amount, currency = this.currency) {
+        return this.getFormatter(currency, Number.isInteger(amount) ? 0 : 2).format(amount);
+    }
+
+    /**
+     * Symbol and number kept apart so the card can style them separately;
+     * some locales put the symbol after the number ("95 €")
+     */
+    getPriceParts(amount, currency = this.currency) {
+        const parts = this.getFormatter(currency, Number.isInteger(amount) ? 0 : 2).formatToParts(amount);
+        const symbolIndex = parts.findIndex(part => part.type === 'currency');
+        const numberIndex = parts.findIndex(part => part.type === 'integer');
+
+        return {
+            symbol: parts[symbolIndex]?.value || currency,
+            // Spacing between symbol and number is left to CSS
+            number: parts
+                .filter(part => part.type !== 'currency')
+                .map(part => part.value)
+                .join('')
+                .trim(),
+            symbolFirst: symbolIndex < numberIndex
+        };
+    }
+
+    /**
+     * Write a plan's price into a card's .pricing-card__price elements
+     */
+    renderPrice(amountElement, planId, billing = 'monthly') {
+        const price = this.getPrice(planId, billing);
+        if (price === null) return false;
+
+        const { symbol, number, symbolFirst } = this.getPriceParts(price);
+        const container = amountElement.closest('.pricing-card__price');
+        const symbolElement = container?.querySelector('.pricing-card__currency');
+
+        amountElement.textContent = number;
+        if (symbolElement) {
+            symbolElement.textContent = symbol;
+        }
+        container?.classList.toggle('pricing-card__price--symbol-after', !symbolFirst);
+        return true;
+    }
+
+    /**
+     * Fill the currency switcher from the supported currencies
+     */
+    renderCurrencySelect(select = document.querySelector(this.options.currencySelector)) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.options.currencies.forEach(currency => {
+            const option = document.createElement('option');
+            option.value = currency;
+            option.textContent = `${currency} ${this.getPriceParts(0, currency).symbol}`;
+            option.selected = currency === this.currency;
+            select.appendChild(option);
+        });
+    }
+
+    getBillingText(planId) {
+        return this.getPlan(planId)?.seatsLabel || '';
+    }
+
+    /**
+     * What annual billing saves over a year, or null for free plans and plans without a discount
+     */
+    getSavings(planId, currency = this.currency) {
+        const prices = this.getPlan(planId)?.prices[currency];
+        if (!prices || prices.monthly <= 0 || prices.annual >= prices.monthly) return null;
+
+        return {
+            yearly: (prices.monthly - prices.annual) * 12,
+            percent: Math.round((1 - prices.annual / prices.monthly) * 100),
+            billedYearly: prices.annual * 12
+        };
+    }
+
+    getSavingsPercents(currency = this.currency) {
+        return this.plans
+            .map(plan => this.getSavings(plan.id, currency))
+            .filter(Boolean)
+            .map(savings => savings.percent);
+    }
+
+    /**
+     * "Save N%" for the toggle, from the largest discount
+     */
+    getSavingsBadgeText(currency = this.currency) {
+        const percents = this.getSavingsPercents(currency);
+        if (percents.length === 0) return '';
+
+        const max = Math.max(...percents);
+        return percents.every(percent => percent === max) ? `Save ${max}%` : `Save up to ${max}%`;
+    }
+
+    /**
+     * Fill a card's savings line; it is only shown for annual billing
+     */
+    renderSavings(savingsElement, planId, billing = 'monthly') {
+        const savings = this.getSavings(planId);
+        const billed = savingsElement.querySelector('.pricing-card__billed');
+        const badge = savingsElement.querySelector('.pricing-card__savings-badge');
+
+        savingsElement.hidden = billing !== 'annual' || !savings;
+        if (!savings) return;
+
+        const labels = this.getSavingsLabels(savings);
+        if (billed) {
+            billed.textContent = labels.billed;
+        }
+        if (badge) {
+            badge.textContent = labels.badge;
+        }
+    }
+
+    getSavingsLabels(savings) {
+        return {
+            billed: `Billed ${this.formatPrice(savings.billedYearly)} yearly`,
+            badge: `Save ${this.formatPrice(savings.yearly)} (${savings.percent}%)`
+        };
+    }
+
+    renderSavingsBadge(badge = document.querySelector(this.options.savingsBadgeSelector)) {
+        if (!badge) return;
+
+        const text = this.getSavingsBadgeText();
+        badge.textContent = text;
+        badge.hidden = !text;
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * One card with every field, prices included, taken from the plan in the current currency
+     */
+    renderCard(plan, billing = 'monthly') {
+        const escape = (value) => this.escapeHtml(value);
+        const modifier = plan.modifier ? ` pricing-card--${escape(plan.modifier)}` : '';
+        const badge = plan.badge ? `<div class="pricing-card__badge">${escape(plan.badge)}</div>` : '';
+        const price = this.getPrice(plan.id, billing);
+        const parts = price === null ? { symbol: '', number: '', symbolFirst: true } : this.getPriceParts(price);
+        const savings = this.getSavings(plan.id);
+        const labels = savings ? this.getSavingsLabels(savings) : { billed: '', badge: '' };
+        const features = plan.features.map(feature => `
+                        <li class="features-list__item">
+                            <span class="check-icon">✓</span>
+                            <span>${escape(feature)}</span>
+                        </li>`).join('');
+
+        return `
+            <div class="pricing-card${modifier}" data-plan-card="${escape(plan.id)}">
+                ${badge}
+                <div class="pricing-card__header">
+                    <h3 class="pricing-card__title">${escape(plan.name)}</h3>
+                    <p class="pricing-card__description">${escape(plan.description)}</p>
+                    <div class="pricing-card__price${parts.symbolFirst ? '' : ' pricing-card__price--symbol-after'}">
+                        <span class="pricing-card__currency">${escape(parts.symbol)}</span>
+                        <span class="pricing-card__amount">${escape(parts.number)}</span>
+                        <span class="pricing-card__period">/month</span>
+                    </div>
+                    <p class="pricing-card__savings"${billing === 'annual' && savings ? '' : ' hidden'}>
+                        <span class="pricing-card__billed">${escape(labels.billed)}</span>
+                        <span class="pricing-card__savings-badge">${escape(labels.badge)}</span>
+                    </p>
+                    <p class="pricing-card__billing">${escape(this.getBillingText(plan.id))}</p>
+                </div>
+
+                <div class="pricing-card__features">
+                    <ul class="features-list">${features}
+                    </ul>
+                </div>
+
+                <div class="pricing-card__action">
+                    <button class="btn btn--${escape(plan.cta.variant)} btn--full" data-action="${escape(plan.cta.action)}" data-plan="${escape(plan.id)}">
+                        ${escape(plan.cta.label)}
+                    </button>
+                    <a href="/auth/signup?plan=${encodeURIComponent(plan.id)}" class="pricing-card__purchase-link">
+                        Purchase now →
+                    </a>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Replace the server-rendered USD cards with the model in the visitor's currency;
+     * runs before the app binds its handlers
+     */
+    renderCards(container = document.querySelector(this.options.gridSelector), billing = 'monthly') {
+        if (!container) return;
+
+        // Security: Plan data is a static definition and every value is escaped
+        container.innerHTML = this.plans.map(plan => this.renderCard(plan, billing)).join('');
+    }
+
+    /**
+     * schema.org offers for the structured data, one per plan and billing cycle
+     */
+    getStructuredDataOffers(currency = this.options.defaultCurrency) {
+        const offers = [];
+
+        this.plans.forEach(plan => {
+            const prices = plan.prices[currency];
+
+            offers.push({
+                '@type': 'Offer',
+                name: plan.name,
+                price: String(prices.monthly),
+                priceCurrency: currency,
+                priceSpecification: {
+                    '@type': 'UnitPriceSpecification',
+                    price: String(prices.monthly),
+                    priceCurrency: currency,
+                    billingDuration: 'P1M'
+                }
+            });
+
+            if (prices.annual > 0) {
+                const yearly = prices.annual * 12;
+                offers.push({
+                    '@type': 'Offer',
+                    name: `${plan.name} (annual)`,
+                    price: String(yearly),
+                    priceCurrency: currency,
+                    priceSpecification: {
+                        '@type': 'UnitPriceSpecification',
+                        price: String(yearly),
+                        priceCurrency: currency,
+                        billingDuration: 'P1Y'
+                    }
+                });
+            }
+        });
+
+        return offers;
+    }
+}
+
+window.LumomirePricing = new PricingModel();
+window.LumomirePricing.renderCards();
+window.LumomirePricing.renderCurrencySelect();
+window.LumomirePricing.renderSavingsBadge();
@@ -0,0 +1,70 @@
+// assets/scripts/store.js
+
+/**
+ * Lumomire Store
+ * Observable UI state shared by LumomireApp and the components. Every piece of UI
+ * has one owner that renders it from the store; everyone else only writes to it.
+ */
+
+class Store {
+    constructor(initialState = {}) {
+        this.state = { ...initialState };
+        this.listeners = new Set();
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    get(key) {
+        return this.state[key];
+    }
+
+    /**
+     * Shallow merge; subscribers only hear about keys whose value actually changed
+     */
+    setState(changes) {
+        const previous = this.state;
+        const changedKeys = Object.keys(changes).filter(key => !Object.is(previous[key], changes[key]));
+        if (changedKeys.length === 0) return;
+
+        this.state = { ...previous, ...changes };
+
+        this.listeners.forEach(({ keys, callback }) => {
+            if (keys && !keys.some(key => changedKeys.includes(key))) return;
+
+            try {
+                callback(this.state, previous);
+            } catch (error) {
+                console.error('[Store] Subscriber failed:', error);
+            }
+        });
+    }
+
+    /**
+     * subscribe(callback) for every change, or subscribe('key' | ['keys'], callback);
+     * returns an unsubscribe function
+     */
+    subscribe(keys, callback) {
+        if (typeof keys === 'function') {
+            callback = keys;
+            keys = null;
+        }
+
+        const listener = { keys: keys ? [].concat(keys) : null, callback };
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+window.LumomireStore = new Store({
+    isMenuOpen: false,
+    currentDashboard: 'cfo',
+    isAnnualPricing: false,
+    currency: window.LumomirePricing?.currency || 'USD',
+    consent: window.LumomireConsent.get()
+});
+
+// Pricing and consent keep persisting their own choices; the store mirrors them
+window.LumomirePricing?.onCurrencyChange(currency => window.LumomireStore.setState({ currency }));
+window.LumomireConsent.onChange(consent => window.LumomireStore.setState({ consent }));
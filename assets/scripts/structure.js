@@ -1,34 +1,63 @@
-    <!-- Structured Data -->
-    <script type="application/ld+json">
-    {
-        "@context": "https://schema.org",
-        "@type": "SoftwareApplication",
-        "name": "Lumomire",
-        "description": "AI-powered contract renewal management for modern businesses",
-        "url": "https://lumomire.com",
-        "applicationCategory": "BusinessApplication",
-        "operatingSystem": "Web, iOS, Android",
-        "offers": {
-            "@type": "Offer",
-            "price": "99",
-            "priceCurrency": "USD",
-            "priceSpecification": {
-                "@type": "UnitPriceSpecification",
-                "billingDuration": "P1M",
-                "price": "99",
-                "priceCurrency": "USD"
-            }
+// assets/scripts/structure.js
+
+/**
+ * Lumomire Structured Data
+ * Regenerates the SoftwareApplication JSON-LD shipped in index.html, taking its offers
+ * from LumomirePricing so the prices search engines see always match the pricing cards
+ */
+
+function buildStructuredData(pricing) {
+    const offers = pricing ? pricing.getStructuredDataOffers() : [];
+    const prices = offers.map(offer => Number(offer.price));
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'SoftwareApplication',
+        name: 'Lumomire',
+        description: 'AI-powered contract renewal management for modern businesses',
+        url: 'https://lumomire.com',
+        applicationCategory: 'BusinessApplication',
+        operatingSystem: 'Web, iOS, Android',
+        offers: {
+            '@type': 'AggregateOffer',
+            priceCurrency: pricing ? pricing.options.defaultCurrency : 'USD',
+            lowPrice: String(prices.length ? Math.min(...prices) : 0),
+            highPrice: String(prices.length ? Math.max(...prices) : 0),
+            offerCount: String(offers.length),
+            offers
         },
-        "aggregateRating": {
-            "@type": "AggregateRating",
-            "ratingValue": "4.8",
-            "reviewCount": "150"
+        aggregateRating: {
+            '@type': 'AggregateRating',
+            ratingValue: '4.8',
+            reviewCount: '150'
         },
-        "publisher": {
-            "@type": "Organization",
-            "name": "Lumomire",
-            "url": "https://lumomire.com",
-            "logo": "https://lumomire.com/assets/images/lumomire-logo.svg"
+        publisher: {
+            '@type': 'Organization',
+            name: 'Lumomire',
+            url: 'https://lumomire.com',
+            logo: 'https://lumomire.com/assets/images/lumomire-logo.svg'
         }
+    };
+}
+
+function injectStructuredData() {
+    const scriptId = 'lumomire-structured-data';
+    const existing = document.getElementById(scriptId);
+    const script = existing || document.createElement('script');
+
+    script.id = scriptId;
+    script.type = 'application/ld+json';
+    // Security: JSON.stringify output cannot close the script element once "<" is escaped
+    script.textContent = JSON.stringify(buildStructuredData(window.LumomirePricing), null, 4)
+        .replace(/</g, '\\u003c');
+
+    if (!existing) {
+        document.head.appendChild(script);
     }
-    </script>
\ No newline at end of file
+}
+
+try {
+    injectStructuredData();
+} catch (error) {
+    console.error('[Lumomire] Failed to generate structured data:', error);
+}
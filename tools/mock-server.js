@@ -0,0 +1,232 @@
+// tools/mock-server.js
+
+/**
+ * Lumomire local mock server
+ * Serves the landing page and a fake API so the development environment
+ * (http://localhost:3000, API under /api) can be exercised without a backend.
+ *
+ * Usage:
+ *   node tools/mock-server.js
+ *   MOCK_CONTACT_STATUS=503 node tools/mock-server.js   # force a contact failure
+ *   MOCK_LATENCY=2000 node tools/mock-server.js         # slow every API response
+ *   MOCK_DEMO_SLOTS=0 node tools/mock-server.js         # no open demo slots
+ *   MOCK_CONFIG='{"features":{"videoDemo":true}}' node tools/mock-server.js   # remote config from the API
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 3000;
+const ROOT = path.resolve(__dirname, '..');
+const LATENCY = Number(process.env.MOCK_LATENCY) || 0;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.vtt': 'text/vtt; charset=utf-8',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Recompute the bot-guard proof of work: SHA-256(challenge:nonce) must start
+ * with `difficulty` zero bits and the challenge must be recent and bound to the email
+ */
+function verifyProofOfWork(verification, email) {
+    const { challenge, nonce, difficulty } = verification;
+    const [issuedAt, , subject] = String(challenge).split(':');
+
+    if (difficulty < 13 || subject !== String(email).trim().toLowerCase()) return false;
+    if (Date.now() - Number(issuedAt) > 24 * 60 * 60 * 1000) return false;
+
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    const bits = Array.from(digest).map(byte => byte.toString(2).padStart(8, '0')).join('');
+    return bits.startsWith('0'.repeat(difficulty));
+}
+
+// Responses by Idempotency-Key, so a retried lead is acknowledged but not stored twice
+const leadsByKey = new Map();
+
+const DEMO_DURATION_MINUTES = 30;
+const demoBookings = new Map();
+
+/**
+ * Open demo slots for the next five weekdays, 9:00-17:00 UTC on the half hour,
+ * with a deterministic handful already taken so the picker has gaps
+ */
+function getDemoSlots() {
+    const slots = [];
+    const day = new Date();
+    day.setUTCHours(0, 0, 0, 0);
+
+    for (let weekdays = 0; weekdays < 5;) {
+        day.setUTCDate(day.getUTCDate() + 1);
+        if (day.getUTCDay() === 0 || day.getUTCDay() === 6) continue;
+        weekdays++;
+
+        for (let minutes = 9 * 60; minutes < 17 * 60; minutes += DEMO_DURATION_MINUTES) {
+            const start = new Date(day.getTime() + minutes * 60 * 1000);
+            const id = `slot_${start.getTime()}`;
+            if ((start.getTime() / 60000) % 7 === 0 || demoBookings.has(id)) continue;
+
+            slots.push({
+                id,
+                start: start.toISOString(),
+                end: new Date(start.getTime() + DEMO_DURATION_MINUTES * 60 * 1000).toISOString()
+            });
+        }
+    }
+
+    return slots;
+}
+
+const routes = {
+    'POST /api/contact': (body, req) => {
+        const status = Number(process.env.MOCK_CONTACT_STATUS) || 201;
+        if (status >= 400) {
+            return [status, { message: `Mock failure (${status})` }];
+        }
+        const key = req.headers['idempotency-key'];
+        if (key && leadsByKey.has(key)) {
+            console.log('[mock] duplicate lead ignored:', key);
+            return [201, leadsByKey.get(key)];
+        }
+        if (!body || !body.name || !body.email) {
+            return [422, { message: 'Name and email are required.' }];
+        }
+        if (body.verification && !verifyProofOfWork(body.verification, body.email)) {
+            return [400, { message: 'Verification failed. Please reload the page and try again.' }];
+        }
+        console.log('[mock] lead received:', body);
+        const lead = { id: `lead_${Date.now()}` };
+        if (key) {
+            leadsByKey.set(key, lead);
+        }
+        return [201, lead];
+    },
+
+    'GET /api/config': () => {
+        try {
+            return [200, JSON.parse(process.env.MOCK_CONFIG || '{}')];
+        } catch (error) {
+            return [500, { message: 'MOCK_CONFIG is not valid JSON' }];
+        }
+    },
+
+    'GET /api/demo/slots': () => {
+        const limit = process.env.MOCK_DEMO_SLOTS;
+        const slots = getDemoSlots();
+        return [200, {
+            timezone: 'UTC',
+            duration_minutes: DEMO_DURATION_MINUTES,
+            slots: limit === undefined ? slots : slots.slice(0, Number(limit))
+        }];
+    },
+
+    'POST /api/demo/bookings': (body) => {
+        if (!body || !body.slot_id || !body.name || !body.email) {
+            return [422, { message: 'A slot, name and email are required.' }];
+        }
+        if (body.verification && !verifyProofOfWork(body.verification, body.email)) {
+            return [400, { message: 'Verification failed. Please reload the page and try again.' }];
+        }
+        const slot = getDemoSlots().find(candidate => candidate.id === body.slot_id);
+        if (!slot) {
+            return [409, { message: 'That slot is no longer available.' }];
+        }
+        const id = `demo_${Date.now()}`;
+        demoBookings.set(slot.id, { id, ...body });
+        console.log('[mock] demo booked:', body);
+        return [201, {
+            id,
+            start: slot.start,
+            end: slot.end,
+            meeting_url: `https://meet.lumomire.com/${id}`
+        }];
+    },
+
+    // Stand-ins for the app's sign-in and signup pages so the landing page handoff can be inspected
+    'GET /signin': (body, req) => [200, { page: 'signin', params: Object.fromEntries(new URL(req.url, 'http://localhost').searchParams) }],
+
+    'GET /signup': (body, req) => [200, { page: 'signup', params: Object.fromEntries(new URL(req.url, 'http://localhost').searchParams) }],
+
+    'POST /api/analytics/batch': (body) => {
+        console.log(`[mock] analytics batch: ${body?.events?.length || 0} events`);
+        return [204, null];
+    }
+};
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(payload === null ? '' : JSON.stringify(payload));
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : null);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    });
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    // Security: Never serve files outside the project root, including sibling
+    // directories that merely share its name as a prefix
+    const relativePath = path.relative(ROOT, filePath);
+    if (relativePath === '..' || relativePath.startsWith('..' + path.sep) || path.isAbsolute(relativePath)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const handler = routes[`${req.method} ${pathname}`];
+
+    if (!handler) {
+        serveStatic(req, res);
+        return;
+    }
+
+    const body = await readBody(req);
+    const [status, payload] = handler(body, req);
+    setTimeout(() => sendJson(res, status, payload), LATENCY);
+});
+
+server.listen(PORT, () => {
+    console.log(`[mock] Lumomire running at http://localhost:${PORT}`);
+});
@@ -0,0 +1,119 @@
+// tools/render-pricing.js
+
+/**
+ * Lumomire pricing baseline generator
+ * Writes the USD pricing cards and the JSON-LD offers that index.html ships for
+ * visitors and crawlers without JavaScript, using the same plan definitions and
+ * templates the page uses at runtime (assets/scripts/pricing.js and structure.js).
+ *
+ * Usage:
+ *   node tools/render-pricing.js           # rewrite index.html
+ *   node tools/render-pricing.js --check   # exit 1 if index.html has drifted from the plans
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const INDEX_PATH = path.join(ROOT, 'index.html');
+const SCRIPTS = ['assets/scripts/pricing.js', 'assets/scripts/structure.js'];
+
+const CARDS_START = '<!-- generated:pricing-cards -->';
+const CARDS_END = '<!-- /generated:pricing-cards -->';
+const JSON_LD_START = '<script type="application/ld+json" id="lumomire-structured-data">';
+const JSON_LD_END = '</script>';
+
+/**
+ * Run the browser scripts against just enough of a page for them to load; there is
+ * no pricing grid or currency select, so nothing is rendered into the stubs
+ */
+function loadPricing() {
+    const head = { appendChild() {} };
+    const context = {
+        navigator: { language: 'en-US', languages: ['en-US'] },
+        localStorage: {
+            getItem() { return null; },
+            setItem() {}
+        },
+        document: {
+            head,
+            querySelector() { return null; },
+            getElementById() { return null; },
+            createElement() { return {}; }
+        },
+        console
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    SCRIPTS.forEach(script => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+    });
+
+    return context;
+}
+
+/**
+ * Re-indent a template so its least indented line starts at `indent`
+ */
+function indentBlock(text, indent) {
+    const lines = text.replace(/^\n+|\s+$/g, '').split('\n').map(line => line.trimEnd());
+    const margin = Math.min(...lines.filter(Boolean).map(line => line.match(/^ */)[0].length));
+    return lines.map(line => line ? indent + line.slice(margin) : '').join('\n');
+}
+
+function renderCards(pricing, indent) {
+    return pricing.getPlans()
+        .map(plan => indentBlock(pricing.renderCard(plan, 'monthly'), indent))
+        .join('\n\n');
+}
+
+function renderJsonLd(context, indent) {
+    const json = JSON.stringify(context.buildStructuredData(context.LumomirePricing), null, 4)
+        .replace(/</g, '\\u003c');
+    return indentBlock(json, indent);
+}
+
+/**
+ * Swap what sits between two markers, keeping the markers and the indentation of `start`
+ */
+function replaceBetween(html, start, end, render) {
+    const startIndex = html.indexOf(start);
+    const endIndex = startIndex === -1 ? -1 : html.indexOf(end, startIndex + start.length);
+    if (endIndex === -1) {
+        throw new Error(`index.html is missing ${start} ... ${end}`);
+    }
+
+    const lineStart = html.lastIndexOf('\n', startIndex) + 1;
+    const indent = html.slice(lineStart, startIndex);
+    const body = render(indent);
+
+    return html.slice(0, startIndex + start.length) + '\n' + body + '\n' + indent + html.slice(endIndex);
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const context = loadPricing();
+    const pricing = context.LumomirePricing;
+    const current = fs.readFileSync(INDEX_PATH, 'utf8');
+
+    let html = replaceBetween(current, CARDS_START, CARDS_END, indent => renderCards(pricing, indent));
+    html = replaceBetween(html, JSON_LD_START, JSON_LD_END, indent => renderJsonLd(context, indent));
+
+    if (html === current) {
+        console.log('[pricing] index.html is up to date');
+        return;
+    }
+
+    if (check) {
+        console.error('[pricing] index.html does not match assets/scripts/pricing.js; run node tools/render-pricing.js');
+        process.exitCode = 1;
+        return;
+    }
+
+    fs.writeFileSync(INDEX_PATH, html);
+    console.log('[pricing] Updated index.html');
+}
+
+main();